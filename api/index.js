@@ -1,78 +1,69 @@
 // Vercel Serverless Function Handler - UPSC Interview Bot
-// BOT = INTERVIEWER (Board Member) | USER = TANYA SINGH (Candidate)
+// BOT = INTERVIEWER (Board Member) | USER = CANDIDATE (from the session profile)
 
-const FormData = require('form-data');
-const fetch = require('node-fetch');
 const multer = require('multer');
-
-// Environment variables
-const { createClient } = require('redis');
-
-// Environment variables
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const ELEVENLABS_API_KEY = process.env.ELEVENLABS_API_KEY;
-const INDIAN_VOICE_ID = '43EwOfIMJShg3J9RLxZJ';
-
-// Validate API keys on cold start
-if (!OPENAI_API_KEY) {
-    console.error('❌ OPENAI_API_KEY not found!');
-}
-if (!ELEVENLABS_API_KEY) {
-    console.error('❌ ELEVENLABS_API_KEY not found!');
-}
-
-// Redis client
-let redisClient;
-
-async function getRedisClient() {
-    if (!redisClient) {
-        redisClient = createClient({
-            url: process.env.UPSC_REDIS_URL
-        });
-        redisClient.on('error', (err) => console.error('Redis error:', err));
-        await redisClient.connect();
-    }
-    return redisClient;
-}
-
-async function getSession(sessionId) {
-    try {
-        const client = await getRedisClient();
-        const data = await client.get(`session:${sessionId}`);
-        return data ? JSON.parse(data) : null;
-    } catch (error) {
-        console.error('Redis get error:', error);
-        return null;
-    }
-}
-
-async function setSession(sessionId, data) {
-    try {
-        const client = await getRedisClient();
-        await client.setEx(`session:${sessionId}`, 3600, JSON.stringify(data));
-    } catch (error) {
-        console.error('Redis set error:', error);
-    }
-}
-
-async function deleteSession(sessionId) {
-    try {
-        const client = await getRedisClient();
-        await client.del(`session:${sessionId}`);
-    } catch (error) {
-        console.error('Redis delete error:', error);
-    }
-}
+const profiles = require('../lib/profile');
+const daf = require('../lib/daf');
+const engine = require('../lib/engine');
+const voices = require('../lib/voice');
+const { streamInterviewerTurn } = require('../lib/chatStream');
+const providers = require('../lib/providers');
+const { transcribe } = require('../lib/transcription');
+const { languageOf } = require('../lib/language');
+const { temperamentOf } = require('../lib/temperament');
+const { validateInterviewConfig } = require('../lib/interviewConfig');
+const { createSessionStore } = require('../lib/sessionStore');
+const { createHistoryStore } = require('../lib/historyStore');
+const { createAccountStore } = require('../lib/accountStore');
+const auth = require('../lib/auth');
+const { buildProgress } = require('../lib/progress');
+const { exportReport, EXPORT_FORMATS } = require('../lib/reportExport');
+const usage = require('../lib/usage');
+const { createUsageStore } = require('../lib/usageStore');
+const { createRateLimiter, clientIp, allowRequest } = require('../lib/rateLimit');
+const topics = require('../lib/topics');
+const { createTopicStore } = require('../lib/topicStore');
+
+// Candidate used when a session is started without a profile
+const DEFAULT_PROFILE = profiles.loadDefaultProfile();
+
+// Validate API keys on cold start - only the selected providers' keys are needed
+const MISSING_KEYS = providers.missingKeys();
+MISSING_KEYS.forEach(key => console.error(`❌ ${key} not found!`));
+
+// Session storage - Redis by default, SESSION_STORE overrides
+const sessions = createSessionStore({ backend: 'redis' });
+
+// Completed interviews, kept per account
+const history = createHistoryStore({ backend: 'redis' });
+
+// Candidate accounts and login tokens
+const accounts = auth.createAuth(createAccountStore({ backend: 'redis' }));
+
+// API spend per account and interview, for quotas and cost estimates
+const ledger = usage.createUsageTracker(createUsageStore({ backend: 'redis' }));
+
+// Topics and sample questions, versioned - admins edit them at /admin.html
+const catalogue = topics.createCatalogue(createTopicStore({ backend: 'redis' }));
+
+// Requests per minute per IP and per account - shared across instances through Redis
+const limiter = createRateLimiter({ backend: 'redis' });
+
+// Same-origin only unless CORS_ORIGINS lists the sites allowed to call the API
+const ALLOWED_ORIGINS = auth.allowedOrigins();
 
 // Multer setup
 const upload = multer({ storage: multer.memoryStorage() });
+const dafUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: daf.MAX_DAF_BYTES } });
 
 module.exports = async (req, res) => {
     // CORS
-    res.setHeader('Access-Control-Allow-Credentials', 'true');
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
-    res.setHeader('Access-Control-Allow-Headers', 'X-CSRF-Token, X-Requested-With, Accept, Accept-Version, Content-Length, Content-MD5, Content-Type, Date, X-Api-Version');
+    res.setHeader('Vary', 'Origin');
+    if (req.headers.origin && ALLOWED_ORIGINS.includes(req.headers.origin)) {
+        res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+        res.setHeader('Access-Control-Allow-Methods', 'GET,OPTIONS,PATCH,DELETE,POST,PUT');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, X-Requested-With, Accept, Content-Length, Content-Type, Date');
+    }
 
     if (req.method === 'OPTIONS') {
         res.status(200).end();
@@ -88,7 +79,7 @@ module.exports = async (req, res) => {
     console.log('📍 Request:', req.method, path, 'Original:', req.url);
 
     // Validate environment variables
-    if (!OPENAI_API_KEY || !ELEVENLABS_API_KEY) {
+    if (MISSING_KEYS.length > 0) {
         console.error('❌ Missing API keys in environment');
         return res.status(500).json({ 
             error: 'Server configuration error',
@@ -97,79 +88,294 @@ module.exports = async (req, res) => {
     }
 
     try {
+        if (!await allowRequest(limiter, 'ip', clientIp(req), res)) return;
+
+        // ============ AUTH ============
+        // Create an account - { email, password } - and log straight in
+        if (path === '/api/auth/signup' && req.method === 'POST') {
+            if (!await allowRequest(limiter, 'auth', clientIp(req), res)) return;
+
+            const { credentials, errors } = auth.validateCredentials(req.body, { signup: true });
+            if (!credentials) {
+                return res.status(400).json({ error: 'Invalid sign-up', details: errors });
+            }
+
+            const result = await accounts.signup(credentials);
+            if (!result) {
+                return res.status(409).json({ error: 'An account with this email already exists' });
+            }
+            return res.status(200).json(result);
+        }
+
+        // Log in - { email, password } - and get a bearer token for the other endpoints
+        if (path === '/api/auth/login' && req.method === 'POST') {
+            if (!await allowRequest(limiter, 'auth', clientIp(req), res)) return;
+
+            const { credentials, errors } = auth.validateCredentials(req.body);
+            if (!credentials) {
+                return res.status(400).json({ error: 'Invalid login', details: errors });
+            }
+
+            const result = await accounts.login(credentials);
+            if (!result) {
+                return res.status(401).json({ error: 'Invalid email or password' });
+            }
+            return res.status(200).json(result);
+        }
+
+        // Every endpoint below needs a logged-in candidate
+        const account = await accounts.authenticate(req);
+        if (!account) {
+            return res.status(401).json({ error: 'Login required' });
+        }
+        if (!await allowRequest(limiter, 'account', account.id, res)) return;
+
+        if (path === '/api/auth/me' && req.method === 'GET') {
+            return res.status(200).json({ account: auth.publicAccount(account) });
+        }
+
+        if (path === '/api/auth/logout' && req.method === 'POST') {
+            await accounts.logout(req);
+            return res.status(200).json({ success: true });
+        }
+
+        // ============ USAGE ============
+        // Quotas, what has been used of them, and the estimated cost of each interview - ?month=YYYY-MM
+        if (path === '/api/usage' && req.method === 'GET') {
+            const month = usage.parseMonth(req.query && req.query.month);
+            if (month === null) {
+                return res.status(400).json({ error: 'month must be YYYY-MM' });
+            }
+            return res.status(200).json(await ledger.describe(account.id, month));
+        }
+
+        // ============ TOPIC CATALOGUE ============
+        // Admins only (ADMIN_EMAILS); each change publishes a new catalogue version
+        const topicMatch = path.match(/^\/api\/topics(?:\/([\w-]+))?(?:\/([\w-]+))?$/);
+        if (topicMatch) {
+            if (!auth.isAdmin(account)) {
+                return res.status(403).json({ error: 'Admin access required' });
+            }
+            const [, first, second] = topicMatch;
+
+            // The current catalogue: { version, updatedAt, updatedBy, change, topics }
+            if (!first && req.method === 'GET') {
+                return res.status(200).json({ ...await catalogue.current(), difficulties: topics.DIFFICULTIES, placeholders: topics.PLACEHOLDERS });
+            }
+
+            // Every published version, newest first - or one in full
+            if (first === 'versions' && req.method === 'GET') {
+                if (!second) {
+                    return res.status(200).json(await catalogue.versions());
+                }
+                const snapshot = await catalogue.version(second);
+                if (!snapshot) {
+                    return res.status(404).json({ error: 'Version not found' });
+                }
+                return res.status(200).json(snapshot);
+            }
+
+            if (!first && req.method === 'POST') {
+                const { topic, errors } = topics.validateTopic(req.body);
+                if (!topic) {
+                    return res.status(400).json({ error: 'Invalid topic', details: errors });
+                }
+                const snapshot = await catalogue.create(topic, account);
+                if (!snapshot) {
+                    return res.status(409).json({ error: `A topic with ID ${topic.id} already exists` });
+                }
+                return res.status(200).json({ version: snapshot.version, topic });
+            }
+
+            if (first && !second && req.method === 'PUT') {
+                const { topic, errors } = topics.validateTopic({ ...req.body, id: first });
+                if (!topic) {
+                    return res.status(400).json({ error: 'Invalid topic', details: errors });
+                }
+                const snapshot = await catalogue.update(first, topic, account);
+                if (!snapshot) {
+                    return res.status(404).json({ error: 'Topic not found' });
+                }
+                return res.status(200).json({ version: snapshot.version, topic });
+            }
+
+            // The catalogue keeps at least one topic
+            if (first && !second && req.method === 'DELETE') {
+                const current = await catalogue.current();
+                if (!current.topics.some(t => t.id === first)) {
+                    return res.status(404).json({ error: 'Topic not found' });
+                }
+                if (current.topics.length === 1) {
+                    return res.status(400).json({ error: 'The catalogue needs at least one topic' });
+                }
+                const snapshot = await catalogue.remove(first, account);
+                if (!snapshot) {
+                    return res.status(404).json({ error: 'Topic not found' });
+                }
+                return res.status(200).json({ version: snapshot.version });
+            }
+        }
+
         // ============ SESSION INIT ============
         if (path === '/api/session/init' && req.method === 'POST') {
-            const sessionId = Date.now().toString();
-            
-            const allInterests = [
-                'development economics',
-                'education policy', 
-                'diplomacy and foreign service',
-                'leadership psychology',
-                'Delhi governance',
-                'dystopian literature',
-                'cue sports and pool',
-                'social entrepreneurship',
-                'debating and Model UN',
-                'ethics and philosophy'
-            ];
-            
-            const shuffled = allInterests.sort(() => 0.5 - Math.random());
-            const sessionInterests = shuffled.slice(0, 2);
-            
-            await setSession(sessionId, {
-                interests: sessionInterests,
-                metrics: {
-                    responses: [],
-                    conversationHistory: []
-                },
-                conversationState: {
-                    questionCount: 0,
-                    currentTopic: null,
-                    questionsOnCurrentTopic: 0,
-                    topicsCovered: []  // ADD THIS
+            let profile = DEFAULT_PROFILE;
+
+            if (req.body && req.body.profile) {
+                const result = profiles.validateProfile(req.body.profile);
+                if (!result.profile) {
+                    return res.status(400).json({ error: 'Invalid profile', details: result.errors });
                 }
-            });
+                profile = result.profile;
+            }
+
+            // Length and pacing: { mode: 'full' | 'drill', durationMinutes, questionLimit, questionsPerTopic }
+            const { config, errors } = validateInterviewConfig(req.body && req.body.config);
+            if (!config) {
+                return res.status(400).json({ error: 'Invalid interview config', details: errors });
+            }
+
+            // Interviewer voice: { voiceId, stability, style, speed }
+            const voiceResult = voices.validateVoice(req.body && req.body.voice, config.language, config.temperament);
+            if (!voiceResult.voice) {
+                return res.status(400).json({ error: 'Invalid voice', details: voiceResult.errors });
+            }
+
+            if (!await usage.withinQuota(ledger, account.id, 'interviews', res)) return;
+
+            // The session keeps this catalogue version even if the topics are edited mid-interview
+            const snapshot = await catalogue.current();
+            const sessionId = auth.newSessionId();
+            const session = engine.createSession(profile, config, voiceResult.voice, topics.catalogueForSession(snapshot));
+            session.accountId = account.id;
+            await sessions.set(sessionId, session);
+            await ledger.startInterview(account.id, sessionId, session);
             
             return res.status(200).json({ 
                 sessionId,
-                interests: sessionInterests
+                interests: session.interests,
+                config,
+                voice: session.voice,
+                candidate: profile.name,
+                candidateId: account.id,
+                catalogueVersion: snapshot.version
             });
         }
 
+        // ============ SESSION PROFILE ============
+        if (path === '/api/session/profile' && req.method === 'POST') {
+            const { sessionId, profile: input } = req.body;
+
+            const session = await auth.ownedSession(sessions, sessionId, account);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            const { profile, errors } = profiles.validateProfile(input);
+            if (!profile) {
+                return res.status(400).json({ error: 'Invalid profile', details: errors });
+            }
+
+            engine.setProfile(session, profile);
+            await sessions.set(sessionId, session);
+
+            return res.status(200).json({ success: true, profile });
+        }
+
+        // ============ SESSION VOICE ============
+        if (path === '/api/session/voice' && req.method === 'POST') {
+            const { sessionId, voice: input } = req.body;
+
+            const session = await auth.ownedSession(sessions, sessionId, account);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            const { voice, errors } = voices.validateVoice(input, languageOf(session.config), temperamentOf(session.config));
+            if (!voice) {
+                return res.status(400).json({ error: 'Invalid voice', details: errors });
+            }
+
+            session.voice = voice;
+            await sessions.set(sessionId, session);
+
+            return res.status(200).json({ success: true, voice });
+        }
+
+        // ============ SESSION RESUME ============
+        // Where an interview stood - the client picks up after a reload, dropped connection or cold start
+        if (path === '/api/session/resume' && req.method === 'POST') {
+            const { sessionId } = req.body;
+
+            const session = await auth.ownedSession(sessions, sessionId, account);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
+
+            return res.status(200).json({
+                sessionId,
+                config: session.config,
+                voice: session.voice,
+                interests: session.interests,
+                candidate: session.profile.name,
+                candidateId: session.accountId,
+                ...engine.describeResume(session)
+            });
+        }
+
+        // ============ VOICES ============
+        // Indian accent voices with preview_url samples for the voice picker
+        if (path === '/api/voices/indian' && req.method === 'GET') {
+            return res.status(200).json(await voices.listIndianVoices(temperamentOf({ temperament: req.query && req.query.temperament })));
+        }
+
         // ============ TTS ENDPOINT ============
         if (path === '/api/tts' && req.method === 'POST') {
-            const { text } = req.body;
-            
-            const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${INDIAN_VOICE_ID}/stream`, {
-                method: 'POST',
-                headers: {
-                    'Accept': 'audio/mpeg',
-                    'Content-Type': 'application/json',
-                    'xi-api-key': ELEVENLABS_API_KEY
-                },
-                body: JSON.stringify({
-                    text: text,
-                    model_id: 'eleven_flash_v2_5',
-                    voice_settings: {
-                        stability: 0.6,
-                        similarity_boost: 0.8,
-                        style: 0.7,
-                        use_speaker_boost: true
-                    },
-                    optimize_streaming_latency: 3,
-                    output_format: 'mp3_22050_32'
-                })
-            });
+            const { text, voiceId, sessionId } = req.body;
 
-            if (!response.ok) {
-                const error = await response.text();
-                console.error('ElevenLabs TTS error:', response.status, error);
-                throw new Error(`TTS API error: ${response.status}`);
+            if (typeof text !== 'string' || !text.trim()) {
+                return res.status(400).json({ error: 'Text required' });
+            }
+            if (text.length > usage.MAX_TTS_CHARACTERS) {
+                return res.status(400).json({ error: `Text must be at most ${usage.MAX_TTS_CHARACTERS} characters` });
+            }
+
+            // The session's voice, delivery settings and language apply inside an interview;
+            // the voice picker's sample sends its own
+            let voice;
+            let language;
+            let session = null;
+            if (sessionId) {
+                session = await auth.ownedSession(sessions, sessionId, account);
+                if (!session) {
+                    return res.status(404).json({ error: 'Session not found' });
+                }
+                voice = session.voice || voices.defaultVoice();
+                language = languageOf(session.config);
+            } else {
+                language = languageOf({ language: req.body.language });
+                const result = voices.validateVoice(req.body.voice, language, temperamentOf({ temperament: req.body.temperament }));
+                if (!result.voice) {
+                    return res.status(400).json({ error: 'Invalid voice', details: result.errors });
+                }
+                voice = result.voice;
+            }
+
+            if (!await usage.withinQuota(ledger, account.id, 'audioMinutes', res)) return;
+
+            // Board members each have their own voice, spoken with the session's delivery settings
+            const audio = await voices.synthesize(text, voice, voiceId, language);
+
+            // Straight to the ledger - the stored session is not rewritten just to count characters
+            const spent = usage.emptyUsage();
+            usage.addSpeech(spent, text.length);
+            if (session) {
+                await ledger.recordInterview(account.id, sessionId, session, spent);
+            } else {
+                await ledger.recordOther(account.id, spent);
             }
 
             res.setHeader('Content-Type', 'audio/mpeg');
-            response.body.pipe(res);
+            audio.pipe(res);
             return;
         }
 
@@ -183,30 +389,28 @@ module.exports = async (req, res) => {
                     }
 
                     try {
-                        const formData = new FormData();
-                        formData.append('file', req.file.buffer, {
-                            filename: 'audio.webm',
-                            contentType: req.file.mimetype
-                        });
-                        formData.append('model', 'whisper-1');
-
-                        const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
-                            method: 'POST',
-                            headers: {
-                                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                                ...formData.getHeaders()
-                            },
-                            body: formData
-                        });
-
-                        if (!response.ok) {
-                            const error = await response.text();
-                            console.error('STT API error:', response.status, error);
-                            throw new Error(`STT API error: ${response.status}`);
+                        // The answer goes on the session's transcript; the session's language is Whisper's hint
+                        const { sessionId } = req.body;
+                        if (!sessionId) {
+                            res.status(400).json({ error: 'Session ID required' });
+                            return resolve();
                         }
 
-                        const data = await response.json();
-                        res.status(200).json({ text: data.text, metrics: {} });
+                        const session = await auth.ownedSession(sessions, sessionId, account);
+                        if (!session) {
+                            res.status(404).json({ error: 'Session not found' });
+                            return resolve();
+                        }
+
+                        if (!await usage.withinQuota(ledger, account.id, 'audioMinutes', res)) return resolve();
+
+                        // metrics holds hesitation stats from word timestamps - kept on the session for /api/session/track
+                        const { text, metrics } = await transcribe(req.file, languageOf(session.config));
+                        engine.recordTranscription(session, text, metrics);
+                        usage.addTranscription(usage.sessionUsage(session), metrics.durationSeconds);
+                        await ledger.flushSession(account.id, sessionId, session);
+                        await sessions.set(sessionId, session);
+                        res.status(200).json({ text });
                         resolve();
                     } catch (error) {
                         console.error('STT Error:', error);
@@ -217,341 +421,91 @@ module.exports = async (req, res) => {
             });
         }
 
+        // ============ DAF IMPORT ============
+        if (path === '/api/daf/import' && req.method === 'POST') {
+            return new Promise((resolve) => {
+                dafUpload.single('daf')(req, res, async (err) => {
+                    if (err) {
+                        res.status(400).json({ error: err.message });
+                        return resolve();
+                    }
+                    if (!daf.isSupportedDaf(req.file)) {
+                        res.status(415).json({ error: 'Upload the DAF as a PDF or plain text file' });
+                        return resolve();
+                    }
+
+                    try {
+                        const spent = usage.emptyUsage();
+                        const result = await daf.importDaf(req.file, { onUsage: usage.meter(spent) });
+                        await ledger.recordOther(account.id, spent);
+                        res.status(200).json(result);
+                        resolve();
+                    } catch (error) {
+                        console.error('DAF Import Error:', error);
+                        res.status(500).json({ error: error.message });
+                        resolve();
+                    }
+                });
+            });
+        }
 
+        // ============ CHAT ENDPOINT ============
+        // The conversation comes from the session's own transcript - the client only names the session
         if (path === '/api/chat' && req.method === 'POST') {
-            const { messages, sessionId } = req.body;
+            const { sessionId } = req.body;
             
-            const session = await getSession(sessionId);
+            const session = await auth.ownedSession(sessions, sessionId, account);
             if (!session) {
                 return res.status(404).json({ error: 'Session not found' });
             }
-        
-            let conversationState = session.conversationState || {
-                questionCount: 0,
-                currentTopic: null,
-                questionsOnCurrentTopic: 0,
-                topicsCovered: []
-            };
-            
-            const QUESTION_LIMIT = 70;
-            const QUESTIONS_PER_TOPIC = 10;
-            
-            // Check if interview should end
-            if (conversationState.questionCount >= QUESTION_LIMIT) {
-                session.conversationState = conversationState;
-                await setSession(sessionId, session);
-                
-                return res.status(200).json({
-                    choices: [{
-                        message: {
-                            role: 'assistant',
-                            content: 'Your interview is over, Tanya. Thank you.'
-                        },
-                        finish_reason: 'stop'
-                    }]
-                });
+            // Same check as the stream - this route is the client's fallback when streaming fails
+            if (!await usage.withinQuota(ledger, account.id, 'audioMinutes', res)) return;
+
+            try {
+                const data = await engine.generateQuestion(session);
+                return res.status(200).json(data);
+            } catch (error) {
+                return res.status(500).json({ error: error.message });
+            } finally {
+                // Keep the advanced conversation state even if the model call failed
+                await ledger.flushSession(account.id, sessionId, session);
+                await sessions.set(sessionId, session);
             }
-            
-            // COMPREHENSIVE TOPICS - DAF + Current Affairs
-            const INTERVIEW_TOPICS = [
-                {
-                    name: 'IFS Aspiration & Foreign Policy',
-                    guidance: `DAF-based questions:
-        - Why IFS over IAS? What specific aspect of diplomacy attracts you?
-        - How does Economics background help in foreign service?
-        - What makes a good diplomat?
-        
-        Current affairs questions:
-        - India's "multi-alignment" foreign policy - what does strategic autonomy mean today?
-        - How is India managing relationships with US, Russia, and China simultaneously?
-        - India's role in G20 and BRICS - how does this advance Global South interests?
-        - UN Security Council reforms - is India's permanent seat realistic?
-        - As IFS officer, how would you enhance India's soft power abroad?
-        
-        Create follow-ups based on her answers. Probe depth, not memorization.`
-                },
-                {
-                    name: 'International Relations & Diplomacy',
-                    guidance: `Current affairs questions:
-        - India's position on Russia-Ukraine war - diplomatic space for mediation?
-        - Israel-Palestine conflict - should India take a stronger stand?
-        - India-China border tensions - what confidence-building measures are needed?
-        - Indo-Pacific strategy and Quad - implications for India's maritime security?
-        - Recent political changes in Bangladesh/Sri Lanka/Maldives - India's priorities?
-        - Afghanistan situation - impact on India's regional security?
-        - India's Act East Policy - challenges and opportunities in Southeast Asia?
-        - Gulf engagement (UAE, Saudi Arabia) - energy, trade, diaspora issues?
-        
-        Mix DAF context with current events. Ask her VIEW, not just facts.`
-                },
-                {
-                    name: 'Economics & Development',
-                    guidance: `DAF-based questions:
-        - Global debt vulnerabilities (her MUN topic) - key risks for developing economies?
-        - Pink tax debate - impact on women's economic participation?
-        - How to increase women's labour force participation in India?
-        
-        Current affairs questions:
-        - India's 6.5-7% growth rate - policy priorities for next decade?
-        - Making growth inclusive in a high-inequality economy?
-        - Make in India and Atmanirbhar Bharat - assessment of progress?
-        - Fiscal vs monetary policy trade-offs - managing inflation and growth?
-        - Labour and skilling reforms - leveraging demographic dividend?
-        - Balancing environmental sustainability with fastest-growing economy?
-        
-        Connect her Economics optional to real policy debates.`
-                },
-                {
-                    name: 'Governance & Public Administration',
-                    guidance: `Current affairs questions:
-        - Simultaneous elections - implications for federalism?
-        - Civil services reforms - impact on bureaucratic neutrality?
-        - UPSC centenary - evolution and needed reforms?
-        - Lateral entry - strengthens or weakens civil services?
-        - ACR/MSF performance appraisal - adequate for accountability?
-        - Political executive vs bureaucratic autonomy - how to balance?
-        - RTI regime effectiveness - recent trends that concern you?
-        - AI in governance - risks and opportunities?
-        - Freebies vs welfare debate - fiscal prudence and ethics?
-        
-        Test her administrative thinking, not textbook answers.`
-                },
-                {
-                    name: 'Social Issues & Welfare',
-                    guidance: `DAF-based questions:
-        - Mental health campaign you organized - what policy gaps did you see?
-        - Should mental health be covered under insurance mandatorily?
-        - Social media and youth mental health - regulatory measures?
-        
-        Current affairs questions:
-        - Kerala's "poverty-free" status - lessons for other states?
-        - Direct benefit transfers - benefits and concerns?
-        - Gender equality in political representation and workforce - is India doing enough?
-        - Malnutrition and anaemia - effectiveness of current approaches?
-        - Digital divide and digital literacy - how should state handle this?
-        - Urban challenges - housing, congestion, informal employment solutions?
-        
-        Connect her volunteering experience to policy debates.`
-                },
-                {
-                    name: 'Education Policy & Reforms',
-                    guidance: `DAF-based questions:
-        - Volunteering with children - biggest education gaps in underserved communities?
-        - As DM of East Delhi, priority for improving education?
-        - Government vs private schools - bridging quality gap?
-        
-        Current affairs questions:
-        - National Education Policy - assessment of progress and concerns?
-        - Learning outcomes in government schools despite high enrollment?
-        - Technology's role in rural education?
-        - Skilling policy reforms needed?
-        
-        Test practical solutions, not theoretical knowledge.`
-                },
-                {
-                    name: 'Environment & Climate Change',
-                    guidance: `Current affairs questions:
-        - India's climate responsibility vs development needs - how to negotiate?
-        - National Green Hydrogen Mission - potential to transform energy?
-        - Blue Flag beaches - significance for coastal management?
-        - Cities adapting to heatwaves and extreme rainfall - what's needed?
-        - Coal policy vs global decarbonization - need to relook?
-        - Air quality crisis - most critical multi-level interventions?
-        - Climate adaptation in agriculture and water policies?
-        - Carbon markets - realistic role in India's climate strategy?
-        - Development pressures vs environmental clearances - how to handle as civil servant?
-        
-        Balance development and environment - test nuanced thinking.`
-                },
-                {
-                    name: 'Technology, AI & Digital Governance',
-                    guidance: `Current affairs questions:
-        - AI governance principles - what should India's regulatory framework prioritize?
-        - Data protection and privacy in digital economy?
-        - Facial recognition and mass surveillance - should state use widely?
-        - Digital public infrastructure (UPI, Aadhaar) - balancing benefits and rights?
-        - AI divide between urban and rural populations - how to prevent?
-        - Cybersecurity incidents increasing - institutional response needed?
-        - Regulating global tech platforms - should India be stricter?
-        - Keeping pace with rapidly changing technologies as civil servant?
-        
-        Probe her understanding of tech-governance balance.`
-                },
-                {
-                    name: 'Ethics & Integrity in Civil Service',
-                    guidance: `Current affairs questions:
-        - Political pressure in high-profile case - how to handle?
-        - Social media amplifying decisions - how to manage as civil servant?
-        - Remaining non-partisan yet responsive in 24x7 news cycle?
-        - Posted in region with communal tension - steps to restore peace?
-        - Senior asks you to overlook violation - what do you do?
-        - Development vs environment conflict - how to balance?
-        - Whistleblowing vs departmental loyalty - your stance?
-        - National interest vs universal human rights - ethical dilemmas for diplomat?
-        
-        Test character and decision-making under pressure.`
-                },
-                {
-                    name: 'Literature, Philosophy & Governance',
-                    guidance: `DAF-based questions:
-        - Absurdist literature - what appeals to you?
-        - Dystopian themes - relevance to modern governance?
-        - Camus, Kafka, Orwell - lessons for administrators?
-        - Philosophy informing administrative decision-making?
-        
-        Connect her literary interests to ethical governance debates.`
-                },
-                {
-                    name: 'ARTIBUS & Communication Skills',
-                    guidance: `DAF-based questions:
-        - Founded ARTIBUS for public speaking - how does this help in administration?
-        - Communication challenges civil servants face today?
-        - Using public speaking to handle crisis as DM?
-        - MUN Best Delegate - what did you learn?
-        - Debate adjudicator - judging skills in administration?
-        
-        Test how she connects extracurriculars to governance.`
-                },
-                {
-                    name: 'Delhi & East Delhi Context',
-                    guidance: `DAF-based questions:
-        - Growing up in East Delhi - governance challenges observed?
-        - Infrastructure improvements you'd prioritize for East Delhi?
-        - How has your background shaped approach to public service?
-        
-        Current affairs questions:
-        - Delhi governance challenges - what needs reform?
-        - Urban challenges in metros - housing, transport, informal economy?
-        - Women's safety in urban areas - systemic changes needed?
-        
-        Make it personal and policy-relevant.`
-                },
-                {
-                    name: 'Security, Defence & Strategic Issues',
-                    guidance: `Current affairs questions:
-        - India's posture in cyber, space, information warfare domains?
-        - China-Pakistan ties and US-India ties - security implications?
-        - Indo-Pacific militarisation - how should India respond?
-        - Maritime security in Indian Ocean - challenges and responses?
-        - Energy security shaping partnerships with West Asia?
-        - Defence indigenisation and export - part of strategic diplomacy?
-        - Counter-terrorism vs civil liberties - how to balance?
-        - Grey-zone challenges - information ops, cross-border radicalization?
-        
-        Test strategic thinking relevant to IFS role.`
-                },
-                {
-                    name: 'Multilateralism & Global Governance',
-                    guidance: `Current affairs questions:
-        - G20 leadership - India's aspirations and responsibilities?
-        - Global rules on AI, data, digital trade - how should India shape them?
-        - Climate negotiations - where does India position itself?
-        - Reforming IMF and World Bank - India's approach?
-        - BRICS expansion and IPEF, QUAD, SCO - significance?
-        - India's narrative as Global South leader?
-        - Vaccine diplomacy during Covid - assessment?
-        - Rising protectionism - defending India's trade interests?
-        
-        Test her grasp of India's multilateral strategy.`
-                }
-            ];
-            
-            // Topic switching logic
-            // Topic switching logic
-if (!conversationState.currentTopic || conversationState.questionsOnCurrentTopic >= QUESTIONS_PER_TOPIC) {
-    // Initialize topicsCovered if undefined
-    if (!conversationState.topicsCovered) {
-        conversationState.topicsCovered = [];
-    }
-    
-    const uncoveredTopics = INTERVIEW_TOPICS.filter(t => !conversationState.topicsCovered.includes(t.name));
-                
-                if (uncoveredTopics.length > 0) {
-                    conversationState.currentTopic = uncoveredTopics[0].name;
-                    conversationState.questionsOnCurrentTopic = 0;
-                } else {
-                    conversationState.currentTopic = INTERVIEW_TOPICS[Math.floor(Math.random() * INTERVIEW_TOPICS.length)].name;
-                    conversationState.questionsOnCurrentTopic = 0;
-                }
-                
-                if (!conversationState.topicsCovered.includes(conversationState.currentTopic)) {
-                    conversationState.topicsCovered.push(conversationState.currentTopic);
-                }
+        }
+
+        // ============ STREAMING CHAT ============
+        // Server-sent events: the reply sentence by sentence, each with its TTS clip
+        if (path === '/api/chat/stream' && req.method === 'POST') {
+            const { sessionId } = req.body;
+
+            const session = await auth.ownedSession(sessions, sessionId, account);
+            if (!session) {
+                return res.status(404).json({ error: 'Session not found' });
             }
-            
-            // Get current topic guidance
-            const currentTopicData = INTERVIEW_TOPICS.find(t => t.name === conversationState.currentTopic);
-            
-            const topicGuidance = `REMEMBER: You are Sameer Shah (interviewer). Tanya Singh is the candidate.
-
-CURRENT TOPIC: ${conversationState.currentTopic}
-
-${currentTopicData.guidance}
-
-INTERVIEW STRATEGY:
-        - Question ${conversationState.questionsOnCurrentTopic + 1}/10 on this topic
-        - Ask ONE question (1-2 sentences max)
-        - If answer is vague/generic: "Be specific" or "Give an example"
-        - Create intelligent follow-ups based on her response
-        - Mix DAF context with current affairs
-        - Test DEPTH of thinking, not memorization
-        - Challenge assumptions when needed
-        
-        Topics covered: ${conversationState.topicsCovered.join(', ')}
-        Total questions asked: ${conversationState.questionCount}/${QUESTION_LIMIT}`;
-            
-            conversationState.questionCount++;
-            conversationState.questionsOnCurrentTopic++;
-            session.conversationState = conversationState;
-            await setSession(sessionId, session);
-            
-            // Inject topic guidance
-            const messagesWithGuidance = [
-                messages[0], // Original system prompt
-                { role: 'system', content: topicGuidance },
-                ...messages.slice(1)
-            ];
-            
-            const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    model: 'ft:gpt-4o-mini-2024-07-18:mynd:upsc:ChK3ciZk',
-                    messages: messagesWithGuidance,
-                    temperature: 0.8,
-                    max_tokens: 120,
-                    presence_penalty: 0.4,
-                    frequency_penalty: 0.6
-                }),
-                signal: AbortSignal.timeout(20000)
-            });
-        
-            if (!response.ok) {
-                const error = await response.text();
-                console.error('Chat API error:', response.status, error);
-                return res.status(500).json({ 
-                    error: `Chat API error: ${response.status}`
-                });
+            if (!await usage.withinQuota(ledger, account.id, 'audioMinutes', res)) return;
+
+            try {
+                await streamInterviewerTurn(session, res);
+            } finally {
+                // Keep the advanced conversation state even if the model call failed
+                await ledger.flushSession(account.id, sessionId, session);
+                await sessions.set(sessionId, session);
             }
-        
-            const data = await response.json();
-            return res.status(200).json(data);
+            return;
         }
 
         // ============ TRACK METRICS ============
+        // Typed answers (text mode) arrive here; spoken ones are already on the transcript from /api/stt
         if (path === '/api/session/track' && req.method === 'POST') {
-            const { sessionId, metrics } = req.body;
+            const { sessionId, metrics, transcript, interruptionDetected } = req.body;
             
-            const session = await getSession(sessionId);
+            const session = await auth.ownedSession(sessions, sessionId, account);
             if (!session) {
                 return res.status(404).json({ error: 'Session not found' });
             }
 
-            session.metrics.responses.push(metrics);
-            await setSession(sessionId, session);
+            engine.recordResponse(session, metrics, interruptionDetected, transcript);
+            await sessions.set(sessionId, session);
             
             return res.status(200).json({ success: true });
         }
@@ -563,8 +517,12 @@ INTERVIEW STRATEGY:
             if (!sessionId) {
                 return res.status(400).json({ error: 'Session ID required' });
             }
+
+            if (!await auth.ownedSession(sessions, sessionId, account)) {
+                return res.status(404).json({ error: 'Session not found' });
+            }
             
-            await deleteSession(sessionId);
+            await sessions.delete(sessionId);
             console.log(`Session ${sessionId} deleted`);
             
             return res.status(200).json({ success: true });
@@ -572,138 +530,85 @@ INTERVIEW STRATEGY:
 
         // ============ GENERATE REPORT ============
         if (path === '/api/session/report' && req.method === 'POST') {
-            const { sessionId, conversationHistory } = req.body;
+            const { sessionId } = req.body;
             
-            const session = await getSession(sessionId);
+            const session = await auth.ownedSession(sessions, sessionId, account);
             if (!session) {
                 return res.status(404).json({ error: 'Session not found' });
-            }   
-            const metrics = session.metrics;
-            
-            // Use GPT-4o to analyze the conversation critically
-            const analysisPrompt = `You are a strict UPSC interview evaluator. Analyze this interview and provide BRUTALLY HONEST, CRITICAL feedback. This is a mock interview - your job is to identify weaknesses so the candidate can improve.
-
-Conversation History:
-${JSON.stringify(conversationHistory, null, 2)}
-
-Session Metrics:
-- Total responses: ${metrics.responses.length}
-
-CRITICAL EVALUATION RULES:
-1. Be STRICT - this is not the time for encouragement, it's time for reality
-2. Point out SPECIFIC weaknesses with SPECIFIC examples from the conversation
-3. Don't sugarcoat - if something was poor, say it was poor
-4. Focus MORE on what went WRONG than what went right
-5. Give ACTIONABLE criticism, not vague feedback
-6. If responses were verbose, say so. If shallow, say so. If irrelevant, say so.
-7. Mock interviews exist to expose weaknesses - do that job
-8. When you are asked to introduce yourself- say I am the one in the board Tanya, I will be asking the questions. 
-
-Provide scores (0-10) and CRITICAL feedback for:
-1. Content Quality - Were responses substantive or superficial?
-2. Communication - Clear or rambling? Concise or verbose?
-3. Confidence - Genuine or fake? Hesitant or overconfident?
-4. Knowledge Depth - Deep understanding or surface-level?
-5. Interview Etiquette - Professional or casual?
-
-Format as JSON:
-{
-  "scores": {
-    "content": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback with specific example"},
-    "communication": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"},
-    "confidence": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"},
-    "knowledge": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"},
-    "etiquette": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"}
-  },
-  "strengths": ["Only include if genuinely strong", "Max 2-3 items", "Be specific"],
-  "improvements": ["CRITICAL weakness #1 with specific example", "CRITICAL weakness #2", "CRITICAL weakness #3", "Add more if needed"],
-  "overall": "BLUNT 3-4 sentence reality check. What would likely happen in real UPSC interview with this performance? Don't hold back.",
-  "detailedNotes": {
-    "responseLengths": "Were responses too long/short? Specific examples.",
-    "relevance": "Did candidate stay on topic? Examples of deviation.",
-    "depth": "Surface-level or analytical? Where did they fail to go deep?",
-    "structure": "Well-organized or scattered thinking?"
-  }
-}`;
+            }
 
             try {
-                const response = await fetch('https://api.openai.com/v1/chat/completions', {
-                    method: 'POST',
-                    headers: {
-                        'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({
-                        model: 'gpt-4o',
-                        messages: [
-                            { 
-                                role: 'system', 
-                                content: 'You are a strict, no-nonsense UPSC interview evaluator. Your feedback is brutally honest and focused on identifying weaknesses. Output ONLY valid JSON.' 
-                            },
-                            { role: 'user', content: analysisPrompt }
-                        ],
-                        temperature: 0.3, // Lower for more consistent, critical evaluation
-                        max_tokens: 2000
-                    })
-                });
-
-                if (!response.ok) {
-                    throw new Error(`Analysis API error: ${response.status}`);
-                }
-
-                const data = await response.json();
-                let analysis;
-                
+                // Scored from the session's transcript only
+                let report;
                 try {
-                    const responseText = data.choices[0].message.content;
-                    const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-                    analysis = JSON.parse(jsonText);
-                } catch (e) {
-                    console.error('Failed to parse analysis JSON:', e);
-                    // Fallback to basic critical feedback
-                    analysis = {
-                        scores: {
-                            content: { score: 6, feedback: "Responses need more depth. Provide specific examples and data to support claims. Too generic." },
-                            communication: { score: 6, feedback: "Work on being more concise. Several responses were unnecessarily lengthy." },
-                            confidence: { score: 7, feedback: "Generally composed but avoid filler words. Practice speaking with more conviction." },
-                            knowledge: { score: 6, feedback: "Surface-level understanding evident. Study your optional subject more thoroughly." },
-                            etiquette: { score: 7, feedback: "Professional but could be more engaged. Eye contact and body language matter." }
-                        },
-                        strengths: [
-                            "Maintained professional demeanor",
-                            "Attempted to answer all questions"
-                        ],
-                        improvements: [
-                            "Responses lack specific examples - every answer needs concrete data/cases",
-                            "Too verbose - practice 2-3 minute responses maximum",
-                            "Insufficient depth on core topics - shows gaps in preparation",
-                            "Avoid generic statements - board wants specifics, not platitudes"
-                        ],
-                        overall: "This performance would likely not clear the UPSC personality test. The board expects depth, precision, and evidence-based responses. Most answers were generic and lacked the analytical rigor needed. Significant improvement required in content depth and response structure.",
-                        detailedNotes: {
-                            responseLengths: "Several responses exceeded optimal length without adding value",
-                            relevance: "Stayed mostly on topic but often gave generic answers instead of specific analysis",
-                            depth: "Surface-level responses dominant. Need to demonstrate deeper understanding",
-                            structure: "Responses lack clear structure. Use framework: claim → evidence → implication"
-                        }
-                    };
+                    report = await engine.generateReport(session);
+                } finally {
+                    await ledger.flushSession(account.id, sessionId, session);
                 }
-                
-                await deleteSession(sessionId);
-                
-                return res.status(200).json({
-                    analysis,
-                    rawMetrics: {
-                        totalResponses: metrics.responses.length
-                    }
-                });
-                
+                const record = engine.buildInterviewRecord(sessionId, session, report);
+                await history.save(record);
+                await sessions.delete(sessionId);
+                return res.status(200).json({ ...report, interviewId: record.id, candidateId: record.candidateId });
             } catch (error) {
                 console.error('Report Error:', error);
                 return res.status(500).json({ error: error.message });
             }
         }
 
+        // ============ REPORT EXPORT ============
+        const exportMatch = path.match(/^\/api\/history\/([\w-]+)\/([\w-]+)\/export$/);
+        if (exportMatch && req.method === 'GET') {
+            const [, candidateId, interviewId] = exportMatch;
+            const format = (req.query && req.query.format) || 'pdf';
+            if (!EXPORT_FORMATS.includes(format)) {
+                return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+            }
+
+            const record = auth.ownsHistory(candidateId, account) ? await history.get(candidateId, interviewId) : null;
+            if (!record) {
+                return res.status(404).json({ error: 'Interview not found' });
+            }
+
+            const file = await exportReport(record, format);
+            res.setHeader('Content-Type', file.contentType);
+            res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+            return res.status(200).send(file.body);
+        }
+
+        // ============ INTERVIEW HISTORY ============
+        const historyMatch = path.match(/^\/api\/history\/([\w-]+)(?:\/([\w-]+))?$/);
+        if (historyMatch && req.method === 'GET') {
+            const [, candidateId, interviewId] = historyMatch;
+            if (!auth.ownsHistory(candidateId, account)) {
+                return res.status(404).json({ error: interviewId ? 'Interview not found' : 'Candidate not found' });
+            }
+
+            if (!interviewId) {
+                const records = await history.list(candidateId);
+                return res.status(200).json({
+                    candidateId,
+                    interviews: records.map(engine.summarizeInterview)
+                });
+            }
+
+            const record = await history.get(candidateId, interviewId);
+            if (!record) {
+                return res.status(404).json({ error: 'Interview not found' });
+            }
+            return res.status(200).json(record);
+        }
+
+        // ============ PROGRESS DASHBOARD ============
+        const progressMatch = path.match(/^\/api\/progress\/([\w-]+)$/);
+        if (progressMatch && req.method === 'GET') {
+            const candidateId = progressMatch[1];
+            if (!auth.ownsHistory(candidateId, account)) {
+                return res.status(404).json({ error: 'Candidate not found' });
+            }
+            const records = await history.list(candidateId);
+            return res.status(200).json(buildProgress(candidateId, records));
+        }
+
         // Not found
         console.log('❌ 404 - Path not matched:', path);
         res.status(404).json({ error: 'Not found', path: path, method: req.method });
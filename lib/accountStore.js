@@ -0,0 +1,218 @@
+// Candidate accounts and login tokens - same backend choice as the other stores: memory, file or redis (ACCOUNT_STORE)
+// Accounts never expire; login tokens expire after AUTH_TOKEN_TTL_SECONDS (30 days by default).
+//
+//   create(account) -> false when the email is already registered
+//   get(accountId), findByEmail(email) -> account or null
+//   saveToken(token, accountId), tokenAccount(token) -> accountId or null, deleteToken(token)
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { getRedisClient } = require('./redisClient');
+
+const DEFAULT_ACCOUNT_DIR = path.join(__dirname, '..', '.accounts');
+const DEFAULT_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+// IDs and tokens become file names and Redis keys
+function isValidId(id) {
+    return /^[\w-]+$/.test(String(id));
+}
+
+// Emails are looked up case-insensitively; the file backend stores them hashed so any address is a safe file name
+function emailKey(email) {
+    return crypto.createHash('sha256').update(String(email).trim().toLowerCase()).digest('hex');
+}
+
+// ============ MEMORY ============
+
+function createMemoryAccounts({ tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS } = {}) {
+    const accounts = new Map();
+    const emails = new Map();
+    const tokens = new Map();
+
+    return {
+        backend: 'memory',
+
+        async create(account) {
+            const key = emailKey(account.email);
+            if (emails.has(key)) return false;
+            emails.set(key, account.id);
+            accounts.set(account.id, JSON.stringify(account));
+            return true;
+        },
+
+        async get(accountId) {
+            const json = accounts.get(accountId);
+            return json ? JSON.parse(json) : null;
+        },
+
+        async findByEmail(email) {
+            const accountId = emails.get(emailKey(email));
+            return accountId ? this.get(accountId) : null;
+        },
+
+        async saveToken(token, accountId) {
+            tokens.set(token, { accountId, expiresAt: Date.now() + tokenTtlSeconds * 1000 });
+        },
+
+        async tokenAccount(token) {
+            const entry = tokens.get(token);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                tokens.delete(token);
+                return null;
+            }
+            return entry.accountId;
+        },
+
+        async deleteToken(token) {
+            tokens.delete(token);
+        }
+    };
+}
+
+// ============ JSON FILE ============
+
+// accounts/<id>.json, emails/<sha256>.json -> { accountId }, tokens/<token>.json -> { accountId, expiresAt }
+function createFileAccounts({ dir = DEFAULT_ACCOUNT_DIR, tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS } = {}) {
+    async function readJson(file) {
+        try {
+            return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async function writeJson(file, data, flag = 'w') {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, JSON.stringify(data, null, 2), { flag });
+    }
+
+    const accountFile = accountId => path.join(dir, 'accounts', `${accountId}.json`);
+    const emailFile = email => path.join(dir, 'emails', `${emailKey(email)}.json`);
+    const tokenFile = token => path.join(dir, 'tokens', `${token}.json`);
+
+    return {
+        backend: 'file',
+
+        async create(account) {
+            if (!isValidId(account.id)) {
+                throw new Error('Invalid account ID');
+            }
+            // 'wx' fails if the file exists, so two sign-ups with one email cannot both win
+            try {
+                await writeJson(emailFile(account.email), { accountId: account.id }, 'wx');
+            } catch (error) {
+                if (error.code === 'EEXIST') return false;
+                throw error;
+            }
+            await writeJson(accountFile(account.id), account);
+            return true;
+        },
+
+        async get(accountId) {
+            if (!isValidId(accountId)) return null;
+            return readJson(accountFile(accountId));
+        },
+
+        async findByEmail(email) {
+            const entry = await readJson(emailFile(email));
+            return entry ? this.get(entry.accountId) : null;
+        },
+
+        async saveToken(token, accountId) {
+            await writeJson(tokenFile(token), { accountId, expiresAt: Date.now() + tokenTtlSeconds * 1000 });
+        },
+
+        async tokenAccount(token) {
+            if (!isValidId(token)) return null;
+            const entry = await readJson(tokenFile(token));
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                await fs.promises.rm(tokenFile(token), { force: true });
+                return null;
+            }
+            return entry.accountId;
+        },
+
+        async deleteToken(token) {
+            if (!isValidId(token)) return;
+            await fs.promises.rm(tokenFile(token), { force: true });
+        }
+    };
+}
+
+// ============ REDIS ============
+
+// account:<id> holds the account, account-email:<sha256> its ID, auth-token:<token> the ID with a TTL
+function createRedisAccounts({ url, tokenTtlSeconds = DEFAULT_TOKEN_TTL_SECONDS } = {}) {
+    const getClient = () => getRedisClient(url);
+
+    return {
+        backend: 'redis',
+
+        async create(account) {
+            const client = await getClient();
+            const claimed = await client.set(`account-email:${emailKey(account.email)}`, account.id, { NX: true });
+            if (!claimed) return false;
+            await client.set(`account:${account.id}`, JSON.stringify(account));
+            return true;
+        },
+
+        async get(accountId) {
+            const client = await getClient();
+            const data = await client.get(`account:${accountId}`);
+            return data ? JSON.parse(data) : null;
+        },
+
+        async findByEmail(email) {
+            const client = await getClient();
+            const accountId = await client.get(`account-email:${emailKey(email)}`);
+            return accountId ? this.get(accountId) : null;
+        },
+
+        async saveToken(token, accountId) {
+            const client = await getClient();
+            await client.setEx(`auth-token:${token}`, tokenTtlSeconds, accountId);
+        },
+
+        async tokenAccount(token) {
+            const client = await getClient();
+            return client.get(`auth-token:${token}`);
+        },
+
+        async deleteToken(token) {
+            const client = await getClient();
+            await client.del(`auth-token:${token}`);
+        }
+    };
+}
+
+// ============ FACTORY ============
+
+const backends = {
+    memory: createMemoryAccounts,
+    file: createFileAccounts,
+    redis: createRedisAccounts
+};
+
+// `backend` is the entry point's default; ACCOUNT_STORE overrides it
+function createAccountStore({ backend, ...options } = {}) {
+    const name = process.env.ACCOUNT_STORE || backend || 'file';
+    const create = backends[name];
+    if (!create) {
+        throw new Error(`Unknown account store: ${name} (use memory, file or redis)`);
+    }
+
+    return create({
+        dir: process.env.ACCOUNT_DIR || DEFAULT_ACCOUNT_DIR,
+        url: process.env.UPSC_REDIS_URL,
+        tokenTtlSeconds: Number(process.env.AUTH_TOKEN_TTL_SECONDS) || DEFAULT_TOKEN_TTL_SECONDS,
+        ...options
+    });
+}
+
+module.exports = {
+    createAccountStore
+};
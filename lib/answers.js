@@ -0,0 +1,169 @@
+// Per-answer scoring - pairs every candidate turn with the question that prompted it
+// and has the report model score each answer on its own
+
+const providers = require('./providers');
+const { languageOf, evaluatorInstruction } = require('./language');
+const { sessionTopics } = require('./topics');
+const { evaluatorReference } = require('./currentAffairs');
+const { sessionUsage, meter } = require('./usage');
+
+const ANSWER_DIMENSIONS = ['relevance', 'depth', 'structure', 'specifics'];
+
+// Answers scored per model call - keeps each response well inside max_tokens
+const ANSWERS_PER_BATCH = 12;
+
+// Whitespace-delimited, so Devanagari and mixed Hindi-English answers count the same way
+function countWords(text) {
+    const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+    return words.length;
+}
+
+// ============ PAIRING ============
+
+// Each user turn answers the assistant turn before it. Topics come from the
+// question log the engine keeps - matched on question text, then on position.
+// questionIndex is the question's position in that log; a question left unanswered
+// has no answer, so join per-question data on questionIndex, never on array position.
+function pairAnswers(transcript, questionLog = []) {
+    const answers = [];
+    let question = null;
+    let questionIndex = -1;
+
+    (transcript || []).forEach(message => {
+        if (message.role === 'assistant') {
+            question = String(message.content || '');
+            questionIndex++;
+        } else if (message.role === 'user' && question !== null) {
+            const logged = questionLog.find(q => q.question === question) || questionLog[questionIndex];
+
+            answers.push({
+                index: answers.length + 1,
+                questionIndex,
+                question,
+                topic: logged ? logged.topic : null,
+                speaker: logged ? logged.speaker || null : null,
+                answer: String(message.content || ''),
+                wordCount: countWords(message.content),
+                scores: null,
+                comment: null,
+                factCheck: null
+            });
+        }
+    });
+
+    return answers;
+}
+
+// Per-question entries (each with a questionIndex) onto the answer to that question, as answer[field]
+function attachToAnswers(answers, entries, field) {
+    entries.forEach(entry => {
+        const answer = answers.find(a => a.questionIndex === entry.questionIndex);
+        if (answer) answer[field] = entry;
+    });
+}
+
+// ============ SCORING ============
+
+// topics are the session's catalogue topics - those in the batch pick the current affairs reference
+function buildScoringPrompt(profile, batch, language, topics) {
+    const instruction = evaluatorInstruction(language);
+    const asked = new Set(batch.map(a => a.topic));
+    const reference = evaluatorReference(topics.filter(t => asked.has(t.name)));
+    return `You are a strict UPSC interview evaluator. Score EACH of the candidate's answers below on its own.
+
+Candidate: ${profile.name}
+${instruction ? `\n${instruction}\n` : ''}${reference ? `\n${reference}\n` : ''}
+Answers:
+${JSON.stringify(batch.map(a => ({ index: a.index, topic: a.topic, question: a.question, answer: a.answer })), null, 2)}
+
+For every answer give scores (0-10):
+- relevance: Did it address the question actually asked?
+- depth: Analysis and understanding, or surface-level?
+- structure: Organised (claim → evidence → implication) or scattered?
+- specifics: Concrete examples, data, schemes, cases - or generic statements?
+
+Plus a one-sentence critical comment naming the main weakness (or strength if there is none).${reference ? `
+Plus factCheck: the claim that contradicts the Current Affairs Reference and the correct fact, or null if none does.` : ''}
+
+Format as JSON:
+{
+  "answers": [
+    {"index": N, "relevance": X, "depth": X, "structure": X, "specifics": X, "comment": "..."${reference ? ', "factCheck": "..." or null' : ''}}
+  ]
+}`;
+}
+
+async function scoreBatch(profile, batch, language, topics, onUsage) {
+    const content = await providers.llm().complete({
+        task: 'scoring',
+        language,
+        messages: [
+            {
+                role: 'system',
+                content: 'You are a strict, no-nonsense UPSC interview evaluator. Output ONLY valid JSON.'
+            },
+            { role: 'user', content: buildScoringPrompt(profile, batch, language, topics) }
+        ],
+        temperature: 0.3,
+        maxTokens: 2000,
+        json: true,
+        onUsage
+    });
+
+    return JSON.parse(content).answers || [];
+}
+
+function applyScores(answers, scored) {
+    scored.forEach(result => {
+        const answer = answers.find(a => a.index === Number(result.index));
+        if (!answer) return;
+
+        const scores = {};
+        ANSWER_DIMENSIONS.forEach(dimension => {
+            const n = Number(result[dimension]);
+            scores[dimension] = Number.isNaN(n) ? null : n;
+        });
+        answer.scores = scores;
+        answer.comment = result.comment || null;
+        answer.factCheck = result.factCheck || null;
+    });
+}
+
+// Score every answer in the interview. A batch that fails keeps its answers
+// unscored (scores: null) rather than failing the whole report.
+async function scoreAnswers(session) {
+    const answers = pairAnswers(session.transcript, session.conversationState.questionLog);
+
+    const batches = [];
+    for (let i = 0; i < answers.length; i += ANSWERS_PER_BATCH) {
+        batches.push(answers.slice(i, i + ANSWERS_PER_BATCH));
+    }
+
+    const topics = sessionTopics(session);
+    const onUsage = meter(sessionUsage(session));
+    await Promise.all(batches.map(async batch => {
+        try {
+            applyScores(answers, await scoreBatch(session.profile, batch, languageOf(session.config), topics, onUsage));
+        } catch (error) {
+            console.error('Answer scoring failed:', error.message);
+        }
+    }));
+
+    return answers;
+}
+
+// Mean of the four dimensions for one answer, null when unscored
+function answerAverage(answer) {
+    if (!answer.scores) return null;
+    const values = Object.values(answer.scores).filter(n => n !== null);
+    return values.length > 0 ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10 : null;
+}
+
+module.exports = {
+    ANSWER_DIMENSIONS,
+    countWords,
+    pairAnswers,
+    attachToAnswers,
+    scoreAnswers,
+    answerAverage
+};
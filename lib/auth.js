@@ -0,0 +1,166 @@
+// Candidate accounts - sign-up, login and the checks every API route makes.
+// Passwords are hashed with scrypt. Login returns a random bearer token the client sends as
+// "Authorization: Bearer <token>". Interview sessions carry the owning accountId, and a session
+// or interview history that belongs to another account is answered as not found.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_PASSWORD_LENGTH = 200;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// ============ VALIDATION ============
+
+// { credentials: { email, password }, errors } - credentials null when invalid.
+// Sign-up enforces the password length; login only needs something to check.
+function validateCredentials(input, { signup = false } = {}) {
+    const errors = [];
+    const email = input && typeof input.email === 'string' ? input.email.trim().toLowerCase() : '';
+    const password = input && typeof input.password === 'string' ? input.password : '';
+
+    if (!EMAIL_PATTERN.test(email)) errors.push('email must be a valid email address');
+    if (!password) {
+        errors.push('password is required');
+    } else if (password.length > MAX_PASSWORD_LENGTH) {
+        errors.push(`password must be at most ${MAX_PASSWORD_LENGTH} characters`);
+    } else if (signup && password.length < MIN_PASSWORD_LENGTH) {
+        errors.push(`password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    return errors.length > 0 ? { credentials: null, errors } : { credentials: { email, password }, errors };
+}
+
+// ============ PASSWORDS ============
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const key = await scrypt(password, salt, 64);
+    return `scrypt:${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = String(stored || '').split(':');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const key = await scrypt(password, Buffer.from(salt, 'hex'), expected.length);
+    return crypto.timingSafeEqual(key, expected);
+}
+
+// ============ IDS AND TOKENS ============
+
+// URL-safe random ID - also valid as a file name and Redis key ([\w-]+)
+function randomId(bytes = 24) {
+    return crypto.randomBytes(bytes).toString('base64url');
+}
+
+// Interview session IDs - unguessable, unlike the old timestamps
+function newSessionId() {
+    return randomId(24);
+}
+
+function bearerToken(req) {
+    const header = (req.headers && req.headers.authorization) || '';
+    const match = header.match(/^Bearer\s+([\w-]+)$/i);
+    return match ? match[1] : null;
+}
+
+// What the client sees - never the password hash
+function publicAccount(account) {
+    return { id: account.id, email: account.email, createdAt: account.createdAt, admin: isAdmin(account) };
+}
+
+// ============ AUTH SERVICE ============
+
+// Wraps an account store. signup() and login() resolve to { account, token }, or null when
+// the email is taken / the email and password do not match.
+function createAuth(accounts) {
+    async function issueToken(account) {
+        const token = randomId(32);
+        await accounts.saveToken(token, account.id);
+        return { account: publicAccount(account), token };
+    }
+
+    return {
+        async signup({ email, password }) {
+            const account = {
+                id: randomId(12),
+                email,
+                passwordHash: await hashPassword(password),
+                createdAt: new Date().toISOString()
+            };
+            if (!await accounts.create(account)) return null;
+            return issueToken(account);
+        },
+
+        async login({ email, password }) {
+            const account = await accounts.findByEmail(email);
+            if (!account) {
+                // Hash anyway, so response time does not reveal which emails are registered
+                await hashPassword(password);
+                return null;
+            }
+            if (!await verifyPassword(password, account.passwordHash)) return null;
+            return issueToken(account);
+        },
+
+        async logout(req) {
+            const token = bearerToken(req);
+            if (token) await accounts.deleteToken(token);
+        },
+
+        // The account behind the request's bearer token, or null
+        async authenticate(req) {
+            const token = bearerToken(req);
+            if (!token) return null;
+            const accountId = await accounts.tokenAccount(token);
+            return accountId ? accounts.get(accountId) : null;
+        }
+    };
+}
+
+// ============ OWNERSHIP ============
+
+// The session when it exists and belongs to the account; null otherwise, so routes
+// answer another candidate's session exactly as they answer a missing one
+async function ownedSession(sessions, sessionId, account) {
+    if (!sessionId || !account) return null;
+    const session = await sessions.get(sessionId);
+    return session && session.accountId === account.id ? session : null;
+}
+
+// Interview history is stored under the account ID, so only that account may read it
+function ownsHistory(candidateId, account) {
+    return Boolean(account) && candidateId === account.id;
+}
+
+// ============ ADMINS ============
+
+// Admins edit the topic catalogue. They are listed by email in ADMIN_EMAILS (comma-separated),
+// so granting or revoking access needs no account changes.
+function isAdmin(account) {
+    if (!account) return false;
+    const admins = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase()).filter(Boolean);
+    return admins.includes(String(account.email).toLowerCase());
+}
+
+// ============ CORS ============
+
+// Origins allowed to call the API from another site (CORS_ORIGINS, comma-separated).
+// Empty by default: only the app's own pages can call it.
+function allowedOrigins() {
+    return (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+}
+
+module.exports = {
+    validateCredentials,
+    newSessionId,
+    publicAccount,
+    createAuth,
+    ownedSession,
+    ownsHistory,
+    isAdmin,
+    allowedOrigins
+};
@@ -0,0 +1,120 @@
+// Interview board - the single interviewer, or a chairperson plus members who take turns.
+// Personas, subject focus and TTS voices come from data/board.json (or BOARD_PATH).
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_BOARD = require('../data/board.json');
+
+const MAX_MEMBERS = 4;
+
+// Load and check the board definition once per process
+let cachedBoard = null;
+
+function loadBoard() {
+    if (cachedBoard) return cachedBoard;
+
+    let source = DEFAULT_BOARD;
+    if (process.env.BOARD_PATH) {
+        source = JSON.parse(fs.readFileSync(path.resolve(process.env.BOARD_PATH), 'utf8'));
+    }
+
+    const personas = new Map((source.personas || []).map(p => [p.id, p]));
+    const missing = [source.interviewer, source.chair, ...(source.members || [])].filter(id => !personas.has(id));
+    if (missing.length > 0) {
+        throw new Error(`Board definition references unknown personas: ${missing.join(', ')}`);
+    }
+
+    cachedBoard = {
+        interviewer: personas.get(source.interviewer),
+        chair: personas.get(source.chair),
+        members: source.members.map(id => personas.get(id)),
+        personas
+    };
+    return cachedBoard;
+}
+
+// Who sits on this session's panel. Single format is one interviewer who is also the "chair".
+// config.members optionally picks and orders member IDs; config.boardSize trims the list.
+function resolvePanel(config = {}) {
+    const board = loadBoard();
+
+    if (config.format !== 'board') {
+        return { format: 'single', chair: board.interviewer, members: [] };
+    }
+
+    let members = board.members;
+    if (Array.isArray(config.members) && config.members.length > 0) {
+        members = config.members.map(id => board.personas.get(id)).filter(Boolean);
+    }
+
+    return {
+        format: 'board',
+        chair: board.chair,
+        members: members.slice(0, config.boardSize || MAX_MEMBERS)
+    };
+}
+
+function findPersona(panel, id) {
+    return [panel.chair, ...panel.members].find(p => p.id === id) || panel.chair;
+}
+
+// What the client needs to label and voice a turn. The single interviewer keeps
+// the server's default voice; board seats use their own.
+function speakerInfo(persona, panel) {
+    const memberNumber = panel.members.indexOf(persona) + 1;
+    return {
+        id: persona.id,
+        name: persona.name,
+        title: memberNumber > 0 ? `Member ${memberNumber}` : persona.title,
+        voiceId: panel.format === 'board' ? persona.voiceId || null : null
+    };
+}
+
+// Everyone on the panel, chair first - stored with reports so transcripts can name speakers
+function describeSeats(panel) {
+    return [panel.chair, ...panel.members].map(persona => {
+        const { voiceId, ...seat } = speakerInfo(persona, panel);
+        return seat;
+    });
+}
+
+// The member whose focus keywords best match the topic name; ties go to the earlier member
+function topicScore(persona, topic) {
+    const name = topic.name.toLowerCase();
+    return (persona.focus || []).filter(keyword => name.includes(keyword.toLowerCase())).length;
+}
+
+// Pick the uncovered topic that best suits the incoming member, falling back to catalogue order
+function pickTopicFor(persona, uncoveredTopics) {
+    const ranked = uncoveredTopics
+        .map((topic, index) => ({ topic, index, score: topicScore(persona, topic) }))
+        .sort((a, b) => b.score - a.score || a.index - b.index);
+    return ranked.length > 0 ? ranked[0].topic : null;
+}
+
+// ElevenLabs voice IDs are short alphanumeric strings; anything else falls back to the default voice
+function isVoiceId(voiceId) {
+    return typeof voiceId === 'string' && /^[A-Za-z0-9]{16,32}$/.test(voiceId);
+}
+
+// Chair's line when the floor passes to the next member
+function handoverLine(panel, persona, language = 'en') {
+    const number = panel.members.indexOf(persona) + 1;
+    if (language === 'hi') {
+        return `धन्यवाद। ${persona.name}, सदस्य ${number}, कृपया।`;
+    }
+    return `Thank you. ${persona.name}, Member ${number}, please.`;
+}
+
+module.exports = {
+    MAX_MEMBERS,
+    loadBoard,
+    resolvePanel,
+    findPersona,
+    speakerInfo,
+    describeSeats,
+    pickTopicFor,
+    handoverLine,
+    isVoiceId
+};
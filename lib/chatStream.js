@@ -0,0 +1,105 @@
+// Streamed interviewer turn over server-sent events - shared by the Express server and the Vercel handler.
+// Sentences go to TTS as soon as the model finishes them, so the first clip is ready while
+// later sentences are still being generated. Clips are sent in speaking order.
+//
+// Events (each `data` is JSON):
+//   turn  { speaker, handover, interviewComplete }
+//   audio { index, role: 'handover' | 'question', text, voiceId, audio } - audio is base64 MP3, null if TTS failed
+//   done  { content, speaker, interviewComplete }
+//   error { error }
+
+const engine = require('./engine');
+const voices = require('./voice');
+const { languageOf } = require('./language');
+const { sessionUsage, addSpeech } = require('./usage');
+
+function sendEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function readStream(stream) {
+    const chunks = [];
+    for await (const chunk of stream) {
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks);
+}
+
+// Base64 MP3 for one sentence, or null so the client can fall back to /api/tts for it
+async function synthesizeClip(text, voice, voiceId, language) {
+    try {
+        const audio = await readStream(await voices.synthesize(text, voice, voiceId, language));
+        return audio.toString('base64');
+    } catch (error) {
+        console.error('Streamed TTS failed:', error.message);
+        return null;
+    }
+}
+
+// Writes the whole turn to `res`. Generation carries on if the client disconnects
+// (the question still has to be logged), but no more clips are synthesized.
+async function streamInterviewerTurn(session, res) {
+    let closed = false;
+    res.on('close', () => {
+        closed = true;
+    });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // stop proxies holding events back
+    });
+
+    const voice = session.voice || voices.defaultVoice();
+    const language = languageOf(session.config);
+    let speaker = null;
+    let clipCount = 0;
+    let clips = Promise.resolve();
+
+    // Synthesis starts now; sending waits for the clips before it
+    function queueClip(role, text, voiceId) {
+        const index = clipCount++;
+        if (!closed) addSpeech(sessionUsage(session), text.length);
+        const audio = closed ? Promise.resolve(null) : synthesizeClip(text, voice, voiceId, language);
+        clips = clips.then(async () => {
+            const data = await audio;
+            if (!closed) sendEvent(res, 'audio', { index, role, text, voiceId, audio: data });
+        });
+    }
+
+    try {
+        for await (const event of engine.streamQuestion(session)) {
+            if (event.type === 'turn') {
+                speaker = event.speaker;
+                if (!closed) sendEvent(res, 'turn', {
+                    speaker: event.speaker,
+                    handover: event.handover,
+                    interviewComplete: event.interviewComplete
+                });
+                if (event.handover) {
+                    queueClip('handover', event.handover.text, event.handover.speaker.voiceId);
+                }
+            } else if (event.type === 'sentence') {
+                queueClip('question', event.text, speaker.voiceId);
+            } else if (event.type === 'done') {
+                await clips;
+                if (!closed) sendEvent(res, 'done', {
+                    content: event.content,
+                    speaker: event.speaker,
+                    interviewComplete: event.interviewComplete
+                });
+            }
+        }
+    } catch (error) {
+        console.error('Chat Stream Error:', error);
+        await clips;
+        if (!closed) sendEvent(res, 'error', { error: error.message });
+    }
+
+    res.end();
+}
+
+module.exports = {
+    streamInterviewerTurn
+};
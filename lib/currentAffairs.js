@@ -0,0 +1,214 @@
+// Current affairs store - dated news items the board can ask about, kept outside the model
+// so the interviewer and the evaluator both work from last month's news, not the training cutoff.
+//
+// Items live in data/current-affairs/ (or CURRENT_AFFAIRS_PATH) as .json or .md files:
+//   .json  one item or an array of items:
+//          { id, title, date: 'YYYY-MM-DD', tags: [...], summary, keyFacts: [...], indiaPosition }
+//   .md    front matter for title, date and tags (comma-separated), the summary as the body,
+//          then optional "## Key Facts" (a bullet list) and "## India's Position" sections
+//
+// Tags are matched against each topic's tags in the topic catalogue (lib/topics.js). Set CURRENT_AFFAIRS_MAX_AGE_DAYS
+// to leave out items older than that.
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', 'data', 'current-affairs');
+
+// Items per question brief - enough for a follow-up, short enough to keep the prompt small
+const ITEMS_PER_TOPIC = 3;
+
+// ============ VALIDATION ============
+
+function cleanList(value) {
+    return Array.isArray(value) ? value.map(v => String(v).trim()).filter(Boolean) : [];
+}
+
+// Same shape as validateProfile: { item, errors }, item null when invalid
+function validateItem(input, fallbackId) {
+    const errors = [];
+    if (!input || typeof input !== 'object') {
+        return { item: null, errors: ['item must be an object'] };
+    }
+
+    const title = typeof input.title === 'string' ? input.title.trim() : '';
+    const summary = typeof input.summary === 'string' ? input.summary.trim() : '';
+    const tags = cleanList(input.tags).map(t => t.toLowerCase());
+    const date = typeof input.date === 'string' ? input.date.trim() : '';
+
+    if (!title) errors.push('title is required');
+    if (!summary) errors.push('summary is required');
+    if (tags.length === 0) errors.push('tags must list at least one tag');
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(Date.parse(date))) {
+        errors.push('date must be YYYY-MM-DD');
+    }
+    if (errors.length > 0) return { item: null, errors };
+
+    return {
+        item: {
+            id: String(input.id || fallbackId),
+            title,
+            date,
+            tags,
+            summary,
+            keyFacts: cleanList(input.keyFacts),
+            indiaPosition: typeof input.indiaPosition === 'string' ? input.indiaPosition.trim() : ''
+        },
+        errors
+    };
+}
+
+// ============ LOADING ============
+
+function parseFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+    if (!match) return { fields: {}, body: text };
+
+    const fields = {};
+    match[1].split(/\r?\n/).forEach(line => {
+        const pair = line.match(/^(\w+):\s*(.*)$/);
+        if (pair) fields[pair[1]] = pair[2].trim();
+    });
+    return { fields, body: match[2] };
+}
+
+// Hard-wrapped Markdown paragraphs become single lines
+function unwrap(text) {
+    return text.trim().replace(/\s*\n\s*/g, ' ');
+}
+
+// The summary runs until the first "## " heading; Key Facts and India's Position are recognised by name
+function parseMarkdownItem(text) {
+    const { fields, body } = parseFrontMatter(text);
+    const [summary, ...sections] = body.split(/^## /m);
+
+    const item = {
+        id: fields.id,
+        title: fields.title,
+        date: fields.date,
+        tags: (fields.tags || '').split(','),
+        summary: unwrap(summary)
+    };
+
+    sections.forEach(section => {
+        const [heading, ...lines] = section.split(/\r?\n/);
+        const name = heading.trim().toLowerCase();
+        if (name.startsWith('key facts')) {
+            item.keyFacts = lines.filter(l => /^\s*[-*]\s+/.test(l)).map(l => l.replace(/^\s*[-*]\s+/, ''));
+        } else if (name.startsWith('india')) {
+            item.indiaPosition = unwrap(lines.join('\n'));
+        }
+    });
+
+    return item;
+}
+
+function readItems(filePath) {
+    const text = fs.readFileSync(filePath, 'utf8');
+    if (filePath.endsWith('.md')) return [parseMarkdownItem(text)];
+    const parsed = JSON.parse(text);
+    return Array.isArray(parsed) ? parsed : [parsed];
+}
+
+// Load and check the store once per process. A bad file or item is skipped with a warning
+// rather than stopping the interview - the board can still ask without it.
+let cachedItems = null;
+
+function loadCurrentAffairs() {
+    if (cachedItems) return cachedItems;
+
+    const dir = process.env.CURRENT_AFFAIRS_PATH ? path.resolve(process.env.CURRENT_AFFAIRS_PATH) : DEFAULT_DIR;
+    const files = fs.existsSync(dir)
+        ? fs.readdirSync(dir).filter(f => f.endsWith('.json') || f.endsWith('.md')).sort()
+        : [];
+
+    const items = [];
+    files.forEach(file => {
+        let entries;
+        try {
+            entries = readItems(path.join(dir, file));
+        } catch (error) {
+            console.warn(`Skipping current affairs file ${file}: ${error.message}`);
+            return;
+        }
+
+        entries.forEach((entry, i) => {
+            const fallbackId = `${path.basename(file, path.extname(file))}${entries.length > 1 ? `-${i + 1}` : ''}`;
+            const { item, errors } = validateItem(entry, fallbackId);
+            if (item) {
+                items.push(item);
+            } else {
+                console.warn(`Skipping current affairs item ${fallbackId}: ${errors.join(', ')}`);
+            }
+        });
+    });
+
+    cachedItems = items;
+    return cachedItems;
+}
+
+// ============ SELECTION ============
+
+function isRecent(item, now) {
+    const maxAgeDays = Number(process.env.CURRENT_AFFAIRS_MAX_AGE_DAYS);
+    if (!maxAgeDays) return true;
+    return now - Date.parse(item.date) <= maxAgeDays * 24 * 60 * 60 * 1000;
+}
+
+// Items sharing a tag with the topic - most shared tags first, then newest
+function itemsForTopic(topic, limit = ITEMS_PER_TOPIC, now = Date.now()) {
+    const topicTags = (topic && topic.tags || []).map(t => t.toLowerCase());
+    if (topicTags.length === 0) return [];
+
+    return loadCurrentAffairs()
+        .map(item => ({ item, overlap: item.tags.filter(t => topicTags.includes(t)).length }))
+        .filter(({ item, overlap }) => overlap > 0 && isRecent(item, now))
+        .sort((a, b) => b.overlap - a.overlap || b.item.date.localeCompare(a.item.date))
+        .slice(0, limit)
+        .map(({ item }) => item);
+}
+
+// Union across topics, for the evaluator's fact check
+function itemsForTopics(topics) {
+    const seen = new Map();
+    topics.forEach(topic => itemsForTopic(topic).forEach(item => seen.set(item.id, item)));
+    return [...seen.values()];
+}
+
+// ============ PROMPT TEXT ============
+
+function describeItem(item) {
+    return [
+        `- ${item.title} (${item.date}): ${item.summary}`,
+        ...item.keyFacts.map(fact => `  • ${fact}`),
+        item.indiaPosition ? `  India's position: ${item.indiaPosition}` : null
+    ].filter(Boolean).join('\n');
+}
+
+// Added to the topic guidance for each question; empty when the store has nothing on the topic
+function interviewerBrief(topic) {
+    const items = itemsForTopic(topic);
+    if (items.length === 0) return '';
+    return `RECENT DEVELOPMENTS (may be newer than your training data - prefer these over what you remember):
+${items.map(describeItem).join('\n')}
+
+Ask about these the way a board would: the candidate's view and its implications, not dates and numbers to recite.`;
+}
+
+// Reference facts for the report and per-answer scoring prompts; empty when nothing matches
+function evaluatorReference(topics) {
+    const items = itemsForTopics(topics);
+    if (items.length === 0) return '';
+    return `Current Affairs Reference (verified facts - may be newer than your training data):
+${items.map(describeItem).join('\n')}
+- Check the candidate's factual claims about these developments against this reference.
+- A claim that contradicts it is a factual error: name it and mark down knowledge. Do not penalise claims the reference does not cover.`;
+}
+
+module.exports = {
+    validateItem,
+    loadCurrentAffairs,
+    itemsForTopic,
+    interviewerBrief,
+    evaluatorReference
+};
@@ -0,0 +1,193 @@
+// DAF import - turns an uploaded Detailed Application Form into a draft candidate profile
+// Text extraction and field parsing are separate so parsers can be swapped or run offline
+
+const pdfParse = require('pdf-parse/lib/pdf-parse.js'); // lib entry skips the package's debug harness
+const { validateProfile } = require('./profile');
+const providers = require('./providers');
+
+const MAX_DAF_BYTES = 5 * 1024 * 1024;
+
+// Full service names as they appear on the DAF, mapped to the codes profiles use
+const SERVICE_NAMES = [
+    { code: 'IAS', pattern: /indian administrative service|\bias\b/i },
+    { code: 'IFS', pattern: /indian foreign service|\bifs\b/i },
+    { code: 'IPS', pattern: /indian police service|\bips\b/i },
+    { code: 'IRS', pattern: /indian revenue service|\birs\b/i },
+    { code: 'IRTS', pattern: /indian railway traffic service|\birts\b/i },
+    { code: 'IPoS', pattern: /indian postal service|\bipos\b/i },
+    { code: 'IAAS', pattern: /indian audit and accounts service|\bia&as\b|\biaas\b/i }
+];
+
+// Section headings recognised by the rule-based parser, in match order
+const SECTIONS = [
+    { field: 'name', pattern: /^(name of (the )?candidate|candidate'?s? name|(full )?name)$/i },
+    { field: 'rollNumber', pattern: /^roll\s*(no\.?|number)/i },
+    { field: 'age', pattern: /^age$/i },
+    { field: 'hometown', pattern: /^(permanent address|hometown|home town|native place|place of residence)\b/i },
+    { field: 'homeState', pattern: /^(home state|state of domicile|domicile( state)?|state)$/i },
+    { field: 'education', pattern: /^(educational qualifications?|education|academic record)\b/i },
+    { field: 'optionalSubject', pattern: /^optional( subject)?\b/i },
+    { field: 'servicePreferences', pattern: /^(service preferences?|preferences? (of|for) services?|services? opted( for)?)\b/i },
+    { field: 'cadrePreferences', pattern: /^(cadre( ?\/ ?zone)? preferences?|preferences? (of|for) cadres?|zone preferences?)\b/i },
+    { field: 'hobbies', pattern: /^(hobbies( and interests)?|interests)\b/i },
+    { field: 'achievements', pattern: /^(achievements|extra[- ]?curricular( activities)?|prizes|distinctions|positions of responsibility)\b/i },
+    { field: 'workExperience', pattern: /^(work experience|employment( details)?|experience)$/i },
+    { field: 'background', pattern: /^(family background|background)\b/i }
+];
+
+const LIST_FIELDS = ['education', 'servicePreferences', 'cadrePreferences', 'hobbies', 'achievements', 'workExperience'];
+
+// ============ TEXT EXTRACTION ============
+
+function isPdf(file) {
+    return file.mimetype === 'application/pdf' || /\.pdf$/i.test(file.originalname || '');
+}
+
+function isPlainText(file) {
+    return /^text\//.test(file.mimetype || '') || /\.(txt|md)$/i.test(file.originalname || '');
+}
+
+function isSupportedDaf(file) {
+    return Boolean(file) && (isPdf(file) || isPlainText(file));
+}
+
+async function extractText(file) {
+    if (isPdf(file)) {
+        // Copy out of Node's shared buffer pool - pdf.js reads the whole underlying ArrayBuffer
+        const data = await pdfParse(new Uint8Array(file.buffer));
+        return data.text;
+    }
+    if (isPlainText(file)) {
+        return file.buffer.toString('utf8');
+    }
+    throw new Error(`Unsupported DAF format: ${file.mimetype}`);
+}
+
+// ============ RULE-BASED PARSER ============
+
+function stripBullet(line) {
+    return line.replace(/^\s*(?:[-*•▪]|\(?\d{1,2}[.)]|\(?[a-z][.)])\s+/i, '').trim();
+}
+
+// One item per line; a single-line section is treated as a comma separated list
+function splitItems(lines) {
+    const parts = lines.length === 1 ? lines[0].split(/;|,(?![^(]*\))/) : lines;
+    return parts.map(stripBullet).filter(Boolean);
+}
+
+function toServiceCodes(items) {
+    const codes = [];
+    items.forEach(item => {
+        const match = SERVICE_NAMES.find(s => s.pattern.test(item));
+        if (match && !codes.includes(match.code)) codes.push(match.code);
+    });
+    return codes;
+}
+
+// Walk the document line by line, collecting text under each recognised heading.
+// "Heading: value" lines and headings followed by indented/bulleted lines both work.
+function parseWithRules(text) {
+    const collected = {};
+    let current = null;
+
+    text.split(/\r?\n/).forEach(rawLine => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        const [head, ...rest] = line.split(/\s*[:\-–]\s+|\s*:\s*/);
+        const section = SECTIONS.find(s => s.pattern.test(stripBullet(head)) && stripBullet(head).length <= 45);
+
+        if (section) {
+            current = section.field;
+            collected[current] = collected[current] || [];
+            const value = rest.join(': ').trim();
+            if (value) collected[current].push(value);
+        } else if (current) {
+            collected[current].push(line);
+        }
+    });
+
+    const draft = {};
+    Object.entries(collected).forEach(([field, lines]) => {
+        if (LIST_FIELDS.includes(field)) {
+            // Education and work entries always read one per line
+            const items = field === 'education' || field === 'workExperience'
+                ? lines.map(stripBullet).filter(Boolean)
+                : splitItems(lines);
+            draft[field] = field === 'servicePreferences' ? toServiceCodes(items) : items;
+        } else if (field === 'age') {
+            const age = parseInt(lines.join(' '), 10);
+            if (!Number.isNaN(age)) draft.age = age;
+        } else {
+            draft[field] = lines.join(' ');
+        }
+    });
+
+    return draft;
+}
+
+// ============ LLM PARSER ============
+
+async function parseWithLlm(text, { onUsage } = {}) {
+    const content = await providers.llm().complete({
+        task: 'daf',
+        messages: [
+            {
+                role: 'system',
+                content: `Extract a UPSC candidate profile from the Detailed Application Form text. Output ONLY valid JSON with these keys:
+name, rollNumber, age (number), hometown, homeState, education (array of {degree, institution, score}), optionalSubject,
+servicePreferences (array of service codes such as IAS, IFS, IPS, IRS in order of preference), cadrePreferences (array),
+hobbies (array), achievements (array), workExperience (array of {role, organisation, duration}), background.
+Leave a key out if the form does not mention it. Never invent details.`
+            },
+            { role: 'user', content: text.slice(0, 20000) }
+        ],
+        temperature: 0,
+        maxTokens: 1500,
+        json: true,
+        onUsage
+    });
+
+    return JSON.parse(content);
+}
+
+// ============ PARSER REGISTRY ============
+
+// 'llm' goes through the configured LLM provider; 'openai' is its older name
+const parsers = {
+    rules: parseWithRules,
+    llm: parseWithLlm,
+    openai: parseWithLlm
+};
+
+function registerDafParser(name, parse) {
+    parsers[name] = parse;
+}
+
+// Returns { draft, missing } - draft is always returned so the candidate can fill the gaps by hand.
+// onUsage meters LLM tokens for parsers that call the provider.
+async function importDaf(file, { parser = process.env.DAF_PARSER || 'rules', onUsage } = {}) {
+    const parse = parsers[parser];
+    if (!parse) {
+        throw new Error(`Unknown DAF parser: ${parser}`);
+    }
+
+    const text = await extractText(file);
+    if (!text || !text.trim()) {
+        throw new Error('No readable text found in the DAF');
+    }
+
+    const draft = await parse(text, { onUsage });
+    const { errors } = validateProfile(draft);
+
+    return { draft, missing: errors, parser };
+}
+
+module.exports = {
+    MAX_DAF_BYTES,
+    isSupportedDaf,
+    extractText,
+    parseWithRules,
+    registerDafParser,
+    importDaf
+};
@@ -0,0 +1,176 @@
+// Speech delivery metrics - pace, filler words, pauses and answer length
+// The client measures timing from the mic; everything derived from words is computed here
+
+const { countWords } = require('./answers');
+
+// Multi-word fillers first so "you know" is not also counted as something shorter.
+// Hindi fillers are listed in Devanagari and in the romanised form Whisper sometimes uses.
+const FILLER_WORDS = [
+    'you know', 'i mean', 'sort of', 'kind of', 'jo hai', 'जो है',
+    'um', 'umm', 'uh', 'uhh', 'er', 'hmm', 'basically', 'actually', 'literally',
+    'matlab', 'yaani', 'मतलब', 'यानी', 'अं', 'हम्म'
+];
+
+// Comfortable interview pace; outside this band the report calls it out
+const PACE_RANGE = { min: 110, max: 170 };
+
+// Answers longer than this (~2 minutes spoken) are flagged as overlong
+const LONG_ANSWER_WORDS = 300;
+const SHORT_ANSWER_WORDS = 15;
+
+const CLIENT_FIELDS = ['durationMs', 'timeToFirstSpeechMs', 'pauseCount', 'totalPauseMs', 'longestPauseMs'];
+const MAX_CLIENT_MS = 30 * 60 * 1000;
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Keep only the numeric timing fields we asked for, within sane bounds
+function cleanClientMetrics(metrics) {
+    const cleaned = {};
+    CLIENT_FIELDS.forEach(field => {
+        const n = Number((metrics || {})[field]);
+        if (Number.isFinite(n) && n >= 0 && n <= MAX_CLIENT_MS) {
+            cleaned[field] = Math.round(n);
+        }
+    });
+    return cleaned;
+}
+
+function countFillers(text) {
+    let remaining = ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{M}'\s]/gu, ' ')} `;
+    const counts = {};
+
+    FILLER_WORDS.forEach(filler => {
+        const pattern = new RegExp(`\\s${escapeRegex(filler).replace(/ /g, '\\s+')}(?=\\s)`, 'g');
+        const matches = remaining.match(pattern);
+        if (matches) {
+            counts[filler] = matches.length;
+            remaining = remaining.replace(pattern, ' ');
+        }
+    });
+
+    return counts;
+}
+
+// One answer's delivery: client timings plus word-derived figures.
+// hesitation is the server's own analysis of the recording - never taken from the client.
+function analyzeDelivery(text, metrics, hesitation = null) {
+    const timing = cleanClientMetrics(metrics);
+    const wordCount = countWords(text);
+    const fillers = countFillers(text);
+    const fillerCount = Object.values(fillers).reduce((a, b) => a + b, 0);
+
+    return {
+        ...timing,
+        hesitation,
+        wordCount,
+        wordsPerMinute: timing.durationMs > 0 ? Math.round(wordCount / (timing.durationMs / 60000)) : null,
+        fillers,
+        fillerCount,
+        fillersPer100Words: wordCount > 0 ? Math.round((fillerCount / wordCount) * 1000) / 10 : 0
+    };
+}
+
+// ============ SESSION SUMMARY ============
+
+function mean(values) {
+    const present = values.filter(n => n !== null && n !== undefined);
+    return present.length > 0 ? Math.round(present.reduce((a, b) => a + b, 0) / present.length) : null;
+}
+
+// Roll every tracked answer up into the figures the report shows
+function summarizeDelivery(responses) {
+    const answers = (responses || []).filter(r => r && typeof r.wordCount === 'number');
+    if (answers.length === 0) return null;
+
+    const fillers = {};
+    answers.forEach(a => Object.entries(a.fillers || {}).forEach(([word, n]) => {
+        fillers[word] = (fillers[word] || 0) + n;
+    }));
+
+    const totalWords = answers.reduce((sum, a) => sum + a.wordCount, 0);
+    const hesitations = answers.map(a => a.hesitation).filter(Boolean);
+    const hesitationTotal = field => hesitations.reduce((sum, h) => sum + (h[field] || 0), 0);
+    const hesitationWords = hesitationTotal('wordCount');
+    const totalFillers = Object.values(fillers).reduce((a, b) => a + b, 0);
+    const wordsPerMinute = mean(answers.map(a => a.wordsPerMinute));
+
+    return {
+        answers: answers.length,
+        averageWordsPerMinute: wordsPerMinute,
+        pace: wordsPerMinute === null ? 'unknown'
+            : wordsPerMinute < PACE_RANGE.min ? 'slow'
+                : wordsPerMinute > PACE_RANGE.max ? 'fast' : 'good',
+        averageWordCount: Math.round(totalWords / answers.length),
+        longestAnswerWords: Math.max(...answers.map(a => a.wordCount)),
+        longAnswers: answers.filter(a => a.wordCount > LONG_ANSWER_WORDS).length,
+        shortAnswers: answers.filter(a => a.wordCount < SHORT_ANSWER_WORDS).length,
+        averageDurationMs: mean(answers.map(a => a.durationMs)),
+        averageTimeToFirstSpeechMs: mean(answers.map(a => a.timeToFirstSpeechMs)),
+        totalPauses: answers.reduce((sum, a) => sum + (a.pauseCount || 0), 0),
+        averagePausesPerAnswer: Math.round((answers.reduce((sum, a) => sum + (a.pauseCount || 0), 0) / answers.length) * 10) / 10,
+        longestPauseMs: Math.max(0, ...answers.map(a => a.longestPauseMs || 0)),
+        totalFillers,
+        fillersPer100Words: totalWords > 0 ? Math.round((totalFillers / totalWords) * 1000) / 10 : 0,
+        topFillers: Object.entries(fillers)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 5)
+            .map(([word, count]) => ({ word, count })),
+        hesitation: hesitations.length === 0 ? null : {
+            longGaps: hesitationTotal('longGaps'),
+            longestGapMs: Math.max(0, ...hesitations.map(h => h.longestGapMs || 0)),
+            restarts: hesitationTotal('restarts'),
+            falseStarts: hesitationTotal('falseStarts'),
+            falseStartRate: hesitationWords > 0
+                ? Math.round((hesitationTotal('falseStarts') / hesitationWords) * 1000) / 10
+                : 0
+        }
+    };
+}
+
+// Stall points grouped by the topic of the question being answered, most stalls first
+function hesitationByTopic(answers) {
+    const topics = new Map();
+
+    answers.forEach(answer => {
+        const hesitation = answer.delivery && answer.delivery.hesitation;
+        if (!hesitation) return;
+
+        const name = answer.topic || 'Unknown';
+        const entry = topics.get(name) || { topic: name, answers: 0, stalls: 0, longGaps: 0 };
+        entry.answers++;
+        entry.stalls += hesitation.longGaps + hesitation.restarts + hesitation.falseStarts;
+        entry.longGaps += hesitation.longGaps;
+        topics.set(name, entry);
+    });
+
+    return [...topics.values()]
+        .map(entry => ({ ...entry, stallsPerAnswer: Math.round((entry.stalls / entry.answers) * 10) / 10 }))
+        .sort((a, b) => b.stallsPerAnswer - a.stallsPerAnswer);
+}
+
+// Plain-text block for the evaluator prompt
+function describeDelivery(summary) {
+    if (!summary) return '- No delivery data recorded';
+
+    const seconds = ms => (ms === null ? 'n/a' : `${(ms / 1000).toFixed(1)}s`);
+    return [
+        `- Answers measured: ${summary.answers}`,
+        `- Average pace: ${summary.averageWordsPerMinute ?? 'n/a'} words per minute (${summary.pace}; ${PACE_RANGE.min}-${PACE_RANGE.max} is comfortable)`,
+        `- Average answer length: ${summary.averageWordCount} words (longest ${summary.longestAnswerWords}; ${summary.longAnswers} over ${LONG_ANSWER_WORDS} words, ${summary.shortAnswers} under ${SHORT_ANSWER_WORDS})`,
+        `- Average speaking time: ${seconds(summary.averageDurationMs)}`,
+        `- Average time to first speech: ${seconds(summary.averageTimeToFirstSpeechMs)}`,
+        `- Pauses: ${summary.totalPauses} in total, ${summary.averagePausesPerAnswer} per answer, longest ${seconds(summary.longestPauseMs)}`,
+        `- Filler words: ${summary.totalFillers} (${summary.fillersPer100Words} per 100 words)${summary.topFillers.length > 0 ? ` - most used: ${summary.topFillers.map(f => `"${f.word}" x${f.count}`).join(', ')}` : ''}`,
+        summary.hesitation && `- Hesitation: ${summary.hesitation.longGaps} mid-answer gaps over 1s (longest ${seconds(summary.hesitation.longestGapMs)}), ${summary.hesitation.restarts} restarts, ${summary.hesitation.falseStarts} false starts (${summary.hesitation.falseStartRate} per 100 words)`
+    ].filter(Boolean).join('\n');
+}
+
+module.exports = {
+    FILLER_WORDS,
+    analyzeDelivery,
+    summarizeDelivery,
+    hesitationByTopic,
+    describeDelivery
+};
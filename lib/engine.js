@@ -0,0 +1,788 @@
+// Interview engine - shared by the Express server and the Vercel handler
+// Owns session state, topic selection, prompt assembly and report generation.
+// Entry points only handle HTTP and session storage.
+
+const profiles = require('./profile');
+const { sessionTopics } = require('./topics');
+const { scoreAnswers, attachToAnswers } = require('./answers');
+const delivery = require('./delivery');
+const { mergeHesitation } = require('./transcription');
+const { validateInterviewConfig, pacing } = require('./interviewConfig');
+const board = require('./board');
+const providers = require('./providers');
+const { createSentenceSplitter } = require('./sentences');
+const { defaultVoice } = require('./voice');
+const { languageOf, evaluatorInstruction } = require('./language');
+const { interviewerBrief, evaluatorReference } = require('./currentAffairs');
+const { emptyUsage, sessionUsage, meter } = require('./usage');
+const followUp = require('./followUp');
+const { temperamentOf, summarizeComposure, describeComposure } = require('./temperament');
+
+// ============ SESSION STATE ============
+
+function initialConversationState() {
+    return {
+        hasGreeted: false,
+        concluded: false,
+        questionCount: 0,
+        currentTopic: null,
+        questionsOnCurrentTopic: 0, // fresh questions only - follow-ups do not use up the topic's share
+        followUpsInARow: 0,
+        difficulty: null, // level of the current line of questioning - starts at the topic's own
+        topicsCovered: [],
+        topicQuestions: {}, // topic name -> questions asked on it
+        questionLog: [], // { topic, question, speaker } for every interviewer turn
+        speakerId: null, // persona asking the current questions
+        speakerTurn: -1, // position in the chair-then-members rotation
+        assessment: null, // classification of the latest answer, until the next turn acts on it
+        followUps: [] // decision trail - see lib/followUp.js
+    };
+}
+
+// config: { mode, durationMinutes, questionLimit, questionsPerTopic, format, input, language, ... } from validateInterviewConfig
+// voice: { voiceId, stability, style, speed } from validateVoice - used for every TTS call in the interview
+// catalogue: { version, topics } from the topic catalogue - the session keeps it for its whole run
+function createSession(profile, config = validateInterviewConfig().config, voice = defaultVoice(), catalogue = null) {
+    return {
+        profile,
+        config,
+        voice,
+        catalogue,
+        startedAt: new Date().toISOString(),
+        interests: profiles.pickSessionInterests(profile),
+        metrics: {
+            responses: [],
+            interruptions: 0
+        },
+        transcript: [], // { role, content, speaker, timestamp } - every question and answer, for resuming
+        pendingHesitation: null, // hesitation stats of the latest recording, until its response is tracked
+        conversationState: initialConversationState(),
+        pendingUsage: emptyUsage() // API spend not yet in the usage ledger - see lib/usage.js
+    };
+}
+
+function setProfile(session, profile) {
+    session.profile = profile;
+    session.interests = profiles.pickSessionInterests(profile);
+}
+
+// Client timings for the latest answer, plus pace and filler figures derived from its text
+// on the session transcript and the hesitation stats /api/stt kept from its recording.
+// questionIndex points at the question log entry being answered.
+// Typed answers (text mode) have no transcription step, so they are recorded here first.
+function recordResponse(session, metrics, interruptionDetected, typedAnswer) {
+    if (session.config && session.config.input === 'text') {
+        recordAnswer(session, typedAnswer);
+    }
+
+    const questionLog = session.conversationState.questionLog || [];
+    session.metrics.responses.push({
+        questionIndex: questionLog.length - 1,
+        ...delivery.analyzeDelivery(latestAnswer(session), metrics, session.pendingHesitation)
+    });
+    session.pendingHesitation = null;
+    if (interruptionDetected) {
+        session.metrics.interruptions = (session.metrics.interruptions || 0) + 1;
+    }
+}
+
+// ============ TRANSCRIPT ============
+// The session's transcript is the only record the interviewer and the evaluator read -
+// questions are added as they are generated, answers as they are transcribed (or typed)
+
+// Add the candidate's answer. Speech split across two recordings before the next
+// question is still one answer, so it joins the previous one.
+function recordAnswer(session, text) {
+    const content = String(text || '').trim();
+    if (!content) return;
+
+    const transcript = session.transcript || [];
+    const last = transcript[transcript.length - 1];
+    if (last && last.role === 'user') {
+        last.content = `${last.content} ${content}`;
+        return;
+    }
+    recordTurn(session, 'user', content);
+}
+
+// A transcribed recording: the text joins the transcript, the hesitation stats from its
+// word timestamps wait on the session for the response /api/session/track records.
+// A recording that continues the answer adds its stats to the ones already waiting.
+function recordTranscription(session, text, hesitation) {
+    const continues = latestAnswer(session) !== '';
+    recordAnswer(session, text);
+    session.pendingHesitation = continues
+        ? mergeHesitation(session.pendingHesitation, hesitation)
+        : hesitation || null;
+}
+
+// Text of the answer to the latest question, or '' if it has not been given
+function latestAnswer(session) {
+    const transcript = session.transcript || [];
+    const last = transcript[transcript.length - 1];
+    return last && last.role === 'user' ? last.content : '';
+}
+
+// Append one question or answer to the session's own transcript
+function recordTurn(session, role, content, speaker) {
+    session.transcript = session.transcript || [];
+    session.transcript.push({
+        role,
+        content,
+        speaker: role === 'assistant' && speaker ? speaker : undefined,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// ============ TOPIC SELECTION ============
+
+// Walk topics in catalogue order (or let `choose` pick among the uncovered ones);
+// once every topic is covered, pick at random. Returns true when the topic changed.
+// `decision` is the follow-up decision for this turn; without one the topic's share decides.
+function selectTopic(state, topics, questionsPerTopic, choose = uncovered => uncovered[0], decision = null) {
+    const stay = decision ? decision.action !== 'change' : state.questionsOnCurrentTopic < questionsPerTopic;
+    if (state.currentTopic && stay) {
+        return false;
+    }
+
+    const uncoveredTopics = topics.filter(t => !state.topicsCovered.includes(t.name));
+
+    if (uncoveredTopics.length > 0) {
+        state.currentTopic = choose(uncoveredTopics).name;
+    } else {
+        state.currentTopic = topics[Math.floor(Math.random() * topics.length)].name;
+    }
+    state.questionsOnCurrentTopic = 0;
+
+    if (!state.topicsCovered.includes(state.currentTopic)) {
+        state.topicsCovered.push(state.currentTopic);
+    }
+    return true;
+}
+
+// ============ BOARD ROTATION ============
+
+// The chair takes the first topic block, then each member in turn, then round again.
+// Each speaker gets the uncovered topic closest to their focus.
+function rotateSpeaker(state, panel) {
+    const rotation = [panel.chair, ...panel.members];
+    state.speakerTurn = ((state.speakerTurn ?? -1) + 1) % rotation.length;
+    return rotation[state.speakerTurn];
+}
+
+// ============ PROMPT ASSEMBLY ============
+
+function buildPacingNote(pace) {
+    if (pace.phase !== 'wrap-up') {
+        return `Time: ${pace.elapsedMinutes} min elapsed, about ${pace.minutesLeft} min left`;
+    }
+    return `TIME CHECK: about ${pace.minutesLeft} min and ${pace.questionsLeft} question(s) left.
+Start moving toward a conclusion - no new lines of inquiry. Ask a final, broader question that ties the conversation together
+(e.g. what kind of officer the candidate wants to be, or the single biggest challenge they expect in service).`;
+}
+
+function buildTopicGuidance(profile, persona, state, topic, config, pace, decision = null) {
+    const brief = interviewerBrief(topic);
+    const next = followUp.describeDecision(decision);
+    const position = decision && followUp.isFollowUp(decision.action)
+        ? `Follow-up to question ${state.questionsOnCurrentTopic}/${config.questionsPerTopic} on this topic`
+        : `Question ${state.questionsOnCurrentTopic + 1}/${config.questionsPerTopic} on this topic`;
+    return `REMEMBER: You are ${persona.name} (interviewer). ${profile.name} is the candidate.
+
+CURRENT TOPIC: ${topic.name}
+
+${topic.guidance}
+${brief ? `\n${brief}\n` : ''}${next ? `\n${next}\n` : ''}
+INTERVIEW STRATEGY:
+- ${position}
+- Difficulty: ${state.difficulty || topic.difficulty || 'standard'}
+- Ask ONE question (1-2 sentences max)
+- If answer is vague/generic: "Be specific" or "Give an example"
+- Create intelligent follow-ups based on the candidate's response
+- Mix DAF context with current affairs
+- Test DEPTH of thinking, not memorization
+- Challenge assumptions when needed
+
+Topics covered: ${state.topicsCovered.join(', ')}
+Total questions asked: ${state.questionCount}/${config.questionLimit}
+${buildPacingNote(pace)}`;
+}
+
+// Model history from the session transcript. In board format each interviewer turn is
+// prefixed with the member who asked it, so the model can tell the voices apart.
+function buildHistory(transcript, panel) {
+    return (transcript || [])
+        .filter(m => m.role === 'user' || m.role === 'assistant')
+        .map(m => {
+            const speaker = panel.format === 'board' && m.role === 'assistant' && m.speaker
+                ? board.findPersona(panel, m.speaker)
+                : null;
+            return { role: m.role, content: speaker ? `[${speaker.name}] ${m.content}` : m.content };
+        });
+}
+
+// Advance the conversation state and build the model messages for the next interviewer turn.
+// Once time or the question budget runs out the next turn is a model-written closing
+// (concluding: true); any turn after that gets the fixed { closing } line.
+// `speaker` is the persona asking; `handover` is the chair's line when the floor changes hands.
+function prepareTurn(session) {
+    const profile = session.profile;
+    const state = session.conversationState;
+    const config = session.config || validateInterviewConfig().config;
+    const panel = board.resolvePanel(config);
+    const language = languageOf(config);
+    const temperament = temperamentOf(config);
+
+    if (state.concluded) {
+        return { closing: profiles.closingLine(profile, language), speaker: panel.chair, panel };
+    }
+
+    // The personality prompt is built from the profile, the history from the server's own transcript
+    const history = buildHistory(session.transcript, panel);
+    const promptFor = persona => ({ role: 'system', content: profiles.buildInterviewerPrompt(profile, persona, panel, language, temperament) });
+
+    // Opening turn: the chair greets and asks for an introduction, no topic yet
+    if (history.length === 0) {
+        state.hasGreeted = true;
+        state.speakerId = panel.chair.id;
+        return {
+            topic: 'Introduction',
+            speaker: panel.chair,
+            panel,
+            modelMessages: [
+                promptFor(panel.chair),
+                { role: 'user', content: profiles.openingInstruction(profile) }
+            ]
+        };
+    }
+
+    // The chair always closes
+    const pace = pacing(session);
+    if (pace.phase === 'closing') {
+        state.concluded = true;
+        state.speakerId = panel.chair.id;
+        return {
+            topic: null,
+            concluding: true,
+            speaker: panel.chair,
+            panel,
+            modelMessages: [
+                promptFor(panel.chair),
+                { role: 'system', content: profiles.closingInstruction(profile) },
+                ...history
+            ]
+        };
+    }
+
+    const topics = sessionTopics(session);
+    const decision = followUp.decideNext(state, config.questionsPerTopic, temperament);
+    const previousSpeaker = board.findPersona(panel, state.speakerId);
+    let speaker = previousSpeaker;
+    let changed;
+    if (panel.format === 'board') {
+        changed = selectTopic(state, topics, config.questionsPerTopic, uncovered => {
+            speaker = rotateSpeaker(state, panel);
+            return board.pickTopicFor(speaker, uncovered);
+        }, decision);
+    } else {
+        changed = selectTopic(state, topics, config.questionsPerTopic, undefined, decision);
+    }
+    state.speakerId = speaker.id;
+
+    const topic = topics.find(t => t.name === state.currentTopic) || topics[0];
+    const isFollowUp = !changed && decision && followUp.isFollowUp(decision.action);
+    if (changed) {
+        state.difficulty = topic.difficulty || 'standard';
+        state.followUpsInARow = 0;
+    } else if (decision && decision.difficulty) {
+        state.difficulty = decision.difficulty;
+    }
+    const guidance = buildTopicGuidance(profile, speaker, state, topic, config, pace, decision);
+
+    state.questionCount++;
+    if (isFollowUp) {
+        state.followUpsInARow = (state.followUpsInARow || 0) + 1;
+    } else {
+        state.questionsOnCurrentTopic++;
+        state.followUpsInARow = 0;
+    }
+    state.topicQuestions = state.topicQuestions || {};
+    state.topicQuestions[topic.name] = (state.topicQuestions[topic.name] || 0) + 1;
+
+    return {
+        topic: topic.name,
+        speaker,
+        panel,
+        handover: speaker !== previousSpeaker && speaker !== panel.chair ? board.handoverLine(panel, speaker, language) : null,
+        modelMessages: [
+            promptFor(speaker),
+            { role: 'system', content: guidance },
+            ...history
+        ]
+    };
+}
+
+// Chat-completion shaped reply, so clients read choices[0].message.content either way
+function assistantReply(content) {
+    return {
+        choices: [{
+            message: { role: 'assistant', content },
+            finish_reason: 'stop'
+        }]
+    };
+}
+
+// Replies carry `speaker` ({ id, name, title, voiceId }) so the client can label and voice
+// the turn, plus `handover` ({ speaker, text }) for the chair's line before a new member speaks
+async function generateQuestion(session) {
+    await followUp.assessLatestAnswer(session);
+    const turn = prepareTurn(session);
+    const speaker = board.speakerInfo(turn.speaker, turn.panel);
+    const language = languageOf(session.config);
+    const onUsage = meter(sessionUsage(session));
+
+    if (turn.closing) {
+        return { ...assistantReply(turn.closing), speaker, interviewComplete: true };
+    }
+
+    if (turn.concluding) {
+        // A failed closing call still ends the interview, with the fixed line
+        let reply;
+        try {
+            reply = await requestCompletion(turn.modelMessages, language, 'closing', onUsage);
+        } catch (error) {
+            console.error('Closing turn failed:', error.message);
+            reply = assistantReply(profiles.closingLine(session.profile, language));
+        }
+        recordTurn(session, 'assistant', reply.choices[0].message.content, speaker.id);
+        return { ...reply, speaker, interviewComplete: true };
+    }
+
+    const data = await requestCompletion(turn.modelMessages, language, 'question', onUsage);
+    const message = data.choices[0].message;
+    message.content = message.content.replace(SPEAKER_TAG, '');
+    logQuestion(session, turn.topic, message.content, speaker.id);
+    recordTurn(session, 'assistant', message.content, speaker.id);
+
+    const reply = { ...data, speaker };
+    if (turn.handover) {
+        reply.handover = { speaker: board.speakerInfo(turn.panel.chair, turn.panel), text: turn.handover };
+    }
+    return reply;
+}
+
+// Sampling for interviewer turns
+const QUESTION_OPTIONS = {
+    temperature: 0.8, // Balanced for varied but focused questions
+    maxTokens: 120,
+    presencePenalty: 0.4,
+    frequencyPenalty: 0.6,
+    timeoutMs: 20000
+};
+
+// Models sometimes echo the speaker tag the board history uses
+const SPEAKER_TAG = /^\s*\[[^\]]{1,60}\]\s*/;
+
+// Interviewer turn from the LLM provider, as a chat-completion shaped reply.
+// language lets the provider pick a model that can ask questions in it; onUsage meters the tokens.
+async function requestCompletion(modelMessages, language, task = 'question', onUsage) {
+    const content = await providers.llm().complete({ task, language, messages: modelMessages, ...QUESTION_OPTIONS, onUsage });
+    return assistantReply(content);
+}
+
+// Text deltas from the LLM provider; providers without streaming give the whole reply at once
+async function* streamCompletion(modelMessages, language, task = 'question', onUsage) {
+    const llm = providers.llm();
+    const options = { task, language, messages: modelMessages, ...QUESTION_OPTIONS, onUsage };
+
+    if (llm.stream) {
+        yield* llm.stream(options);
+    } else {
+        yield await llm.complete(options);
+    }
+}
+
+// Streaming counterpart of generateQuestion. Yields, in order:
+//   { type: 'turn', speaker, handover, interviewComplete } - before any text
+//   { type: 'sentence', text } - each complete sentence as soon as it is generated
+//   { type: 'done', content, speaker, interviewComplete } - the full reply
+async function* streamQuestion(session) {
+    await followUp.assessLatestAnswer(session);
+    const turn = prepareTurn(session);
+    const speaker = board.speakerInfo(turn.speaker, turn.panel);
+    const language = languageOf(session.config);
+    const interviewComplete = Boolean(turn.closing || turn.concluding);
+    const handover = turn.handover
+        ? { speaker: board.speakerInfo(turn.panel.chair, turn.panel), text: turn.handover }
+        : null;
+
+    yield { type: 'turn', speaker, handover, interviewComplete };
+
+    if (turn.closing) {
+        yield { type: 'sentence', text: turn.closing };
+        yield { type: 'done', content: turn.closing, speaker, interviewComplete };
+        return;
+    }
+
+    const splitter = createSentenceSplitter();
+    let content = '';
+    let pending = ''; // held back until any leading speaker tag is complete
+
+    try {
+        const task = turn.concluding ? 'closing' : 'question';
+        for await (const delta of streamCompletion(turn.modelMessages, language, task, meter(sessionUsage(session)))) {
+            if (!content && pending !== null) {
+                pending += delta;
+                if (/^\s*\[[^\]]{0,60}$/.test(pending)) continue;
+                const text = pending.replace(SPEAKER_TAG, '');
+                pending = null;
+                content = text;
+                yield* splitter.push(text).map(sentence => ({ type: 'sentence', text: sentence }));
+                continue;
+            }
+
+            content += delta;
+            yield* splitter.push(delta).map(sentence => ({ type: 'sentence', text: sentence }));
+        }
+        if (pending) {
+            content = pending.replace(SPEAKER_TAG, '');
+            splitter.push(content);
+        }
+    } catch (error) {
+        // A failed closing call still ends the interview, with the fixed line
+        if (!turn.concluding || content || pending) throw error;
+        console.error('Closing turn failed:', error.message);
+        content = profiles.closingLine(session.profile, language);
+        splitter.push(content);
+    }
+
+    yield* splitter.flush().map(sentence => ({ type: 'sentence', text: sentence }));
+    content = content.trim();
+
+    if (!turn.concluding) {
+        logQuestion(session, turn.topic, content, speaker.id);
+    }
+    recordTurn(session, 'assistant', content, speaker.id);
+    yield { type: 'done', content, speaker, interviewComplete };
+}
+
+// Remember which topic and member each question came from, for per-answer scoring
+function logQuestion(session, topic, question, speaker) {
+    const state = session.conversationState;
+    state.questionLog = state.questionLog || [];
+    state.questionLog.push({ topic, question, speaker });
+}
+
+// ============ RESUME ============
+
+// Where an interview stood, for a client picking it up after a reload or a dropped connection.
+// pendingQuestion is the last question when the candidate has not answered it yet - the client
+// re-asks it; without one the client asks the server for the next question.
+function describeResume(session) {
+    const state = session.conversationState;
+    const panel = board.resolvePanel(session.config || {});
+    const transcript = session.transcript || [];
+    const last = transcript[transcript.length - 1];
+
+    let pendingQuestion = null;
+    if (last && last.role === 'assistant' && !state.concluded) {
+        pendingQuestion = {
+            content: last.content,
+            speaker: board.speakerInfo(board.findPersona(panel, last.speaker), panel)
+        };
+    }
+
+    return {
+        transcript,
+        pendingQuestion,
+        interviewComplete: Boolean(state.concluded),
+        panel: board.describeSeats(panel),
+        progress: {
+            questionCount: state.questionCount,
+            currentTopic: state.currentTopic,
+            topicsCovered: state.topicsCovered,
+            ...pacing(session)
+        }
+    };
+}
+
+// ============ REPORT ============
+
+const FALLBACK_ANALYSIS = {
+    scores: {
+        content: { score: 6, feedback: "Responses need more depth. Provide specific examples and data to support claims. Too generic." },
+        communication: { score: 6, feedback: "Work on being more concise. Several responses were unnecessarily lengthy." },
+        confidence: { score: 7, feedback: "Generally composed but avoid filler words. Practice speaking with more conviction." },
+        knowledge: { score: 6, feedback: "Surface-level understanding evident. Study your optional subject more thoroughly." },
+        etiquette: { score: 7, feedback: "Professional but could be more engaged. Eye contact and body language matter." }
+    },
+    strengths: [
+        "Maintained professional demeanor",
+        "Attempted to answer all questions"
+    ],
+    topicScores: {},
+    composure: null,
+    improvements: [
+        "Responses lack specific examples - every answer needs concrete data/cases",
+        "Too verbose - practice 2-3 minute responses maximum",
+        "Insufficient depth on core topics - shows gaps in preparation",
+        "Avoid generic statements - board wants specifics, not platitudes"
+    ],
+    overall: "This performance would likely not clear the UPSC personality test. The board expects depth, precision, and evidence-based responses. Most answers were generic and lacked the analytical rigor needed. Significant improvement required in content depth and response structure.",
+    detailedNotes: {
+        responseLengths: "Several responses exceeded optimal length without adding value",
+        relevance: "Stayed mostly on topic but often gave generic answers instead of specific analysis",
+        depth: "Surface-level responses dominant. Need to demonstrate deeper understanding",
+        structure: "Responses lack clear structure. Use framework: claim → evidence → implication"
+    }
+};
+
+function formatTopicsCovered(state) {
+    const counts = state.topicQuestions || {};
+    if (state.topicsCovered.length === 0) return '- None (introduction only)';
+    return state.topicsCovered.map(t => `- ${t} (${counts[t] || 0})`).join('\n');
+}
+
+// Typed answers have no audio, so the report judges the writing rather than pace, pauses or fillers
+function describeAnswerDelivery(session) {
+    const summary = delivery.summarizeDelivery(session.metrics.responses);
+
+    if (session.config && session.config.input === 'text') {
+        return `Answer Input:
+- The candidate TYPED every answer (text mode) - there is no audio. Do not assess pace, pauses, hesitation or filler words;
+  judge communication and confidence on the written answers' clarity, length and conviction.
+- Average answer length: ${summary ? summary.averageWordCount : 'n/a'} words`;
+    }
+
+    return `Delivery Metrics (measured from audio and transcripts - use these, do not guess):
+${delivery.describeDelivery(summary)}`;
+}
+
+// Hindi and bilingual interviews tell the evaluator to judge answers in the language they were given
+function languageNote(session) {
+    const instruction = evaluatorInstruction(languageOf(session.config));
+    return instruction ? `\n${instruction}\n` : '';
+}
+
+// Store items on the topics the board covered, so the evaluator can check claims about recent events
+function factCheckNote(session) {
+    const covered = session.conversationState.topicsCovered;
+    const reference = evaluatorReference(sessionTopics(session).filter(t => covered.includes(t.name)));
+    return reference ? `\n${reference}\n` : '';
+}
+
+// The board's running read of the answers, so the verdict can say where the candidate was pressed
+function followUpNote(session) {
+    const trail = (session.conversationState.followUps || []).filter(d => d.label);
+    if (trail.length === 0) return '';
+    return `\nFollow-up Decisions (the board's read of each answer during the interview, in order):
+${trail.map(d => `- ${d.topic}: ${d.label} -> ${d.action}${d.claim ? ` (doubtful claim: "${d.claim}")` : ''}`).join('\n')}\n`;
+}
+
+function buildReportPrompt(session) {
+    return `You are a strict UPSC interview evaluator. Analyze this interview and provide BRUTALLY HONEST, CRITICAL feedback. This is a mock interview - your job is to identify weaknesses so the candidate can improve.
+
+Candidate: ${session.profile.name}
+
+Conversation History:
+${JSON.stringify(normalizeTranscript(session.transcript), null, 2)}
+
+Session Metrics:
+- Total responses: ${session.metrics.responses.length}
+- Interruptions of the interviewer: ${session.metrics.interruptions || 0}
+
+${describeAnswerDelivery(session)}
+${languageNote(session)}${factCheckNote(session)}
+Topics Covered (questions asked):
+${formatTopicsCovered(session.conversationState)}
+${followUpNote(session)}
+${describeComposure(summarizeComposure(session))}
+
+CRITICAL EVALUATION RULES:
+1. Be STRICT - this is not the time for encouragement, it's time for reality
+2. Point out SPECIFIC weaknesses with SPECIFIC examples from the conversation
+3. Don't sugarcoat - if something was poor, say it was poor
+4. Focus MORE on what went WRONG than what went right
+5. Give ACTIONABLE criticism, not vague feedback
+6. If responses were verbose, say so. If shallow, say so. If irrelevant, say so.
+7. Mock interviews exist to expose weaknesses - do that job
+
+Provide scores (0-10) and CRITICAL feedback for:
+1. Content Quality - Were responses substantive or superficial?
+2. Communication - Clear or rambling? Concise or verbose?
+3. Confidence - Genuine or fake? Hesitant or overconfident?
+4. Knowledge Depth - Deep understanding or surface-level?
+5. Interview Etiquette - Professional or casual?
+
+Also score each topic listed under Topics Covered (0-10) on the answers given to its questions.
+And score composure under pressure (0-10) from the Composure Under Pressure figures and how the candidate answered when challenged.
+
+Format as JSON:
+{
+  "scores": {
+    "content": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback with specific example"},
+    "communication": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"},
+    "confidence": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"},
+    "knowledge": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"},
+    "etiquette": {"score": X, "feedback": "CRITICAL 2-3 sentence feedback"}
+  },
+  "topicScores": {"<exact topic name from Topics Covered>": X},
+  "composure": {"score": X, "feedback": "CRITICAL 2-3 sentences on how the candidate handled being challenged - cite a moment"},
+  "strengths": ["Only include if genuinely strong", "Max 2-3 items", "Be specific"],
+  "improvements": ["CRITICAL weakness #1 with specific example", "CRITICAL weakness #2", "CRITICAL weakness #3", "Add more if needed"],
+  "overall": "BLUNT 3-4 sentence reality check. What would likely happen in real UPSC interview with this performance? Don't hold back.",
+  "detailedNotes": {
+    "responseLengths": "Were responses too long/short? Cite the measured word counts and pace.",
+    "relevance": "Did candidate stay on topic? Examples of deviation.",
+    "depth": "Surface-level or analytical? Where did they fail to go deep?",
+    "structure": "Well-organized or scattered thinking?"
+  }
+}`;
+}
+
+function parseAnalysis(responseText) {
+    const jsonText = responseText.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    return JSON.parse(jsonText);
+}
+
+// Use the report model to analyze the conversation critically
+async function generateAnalysis(session) {
+    const content = await providers.llm().complete({
+        task: 'report',
+        language: languageOf(session.config),
+        messages: [
+            {
+                role: 'system',
+                content: 'You are a strict, no-nonsense UPSC interview evaluator. Your feedback is brutally honest and focused on identifying weaknesses. Output ONLY valid JSON.'
+            },
+            { role: 'user', content: buildReportPrompt(session) }
+        ],
+        temperature: 0.3, // Lower for more consistent, critical evaluation
+        maxTokens: 2000,
+        onUsage: meter(sessionUsage(session))
+    });
+
+    let analysis;
+
+    try {
+        analysis = parseAnalysis(content);
+    } catch (e) {
+        console.error('Failed to parse analysis JSON:', e);
+        // Fallback to basic critical feedback
+        analysis = JSON.parse(JSON.stringify(FALLBACK_ANALYSIS));
+    }
+
+    return analysis;
+}
+
+// Overall verdict and question-by-question scores are requested side by side
+// Both read only the session's transcript - nothing the client sends is scored
+async function generateReport(session) {
+    const [analysis, answers] = await Promise.all([
+        generateAnalysis(session),
+        scoreAnswers(session)
+    ]);
+
+    // Attach each answer's delivery figures and stall points
+    attachToAnswers(answers, session.metrics.responses, 'delivery');
+
+    // And what the board made of it - the follow-up decision it led to
+    attachToAnswers(answers, session.conversationState.followUps || [], 'followUp');
+
+    const wordCounts = answers.map(a => a.wordCount);
+
+    return {
+        analysis,
+        answers,
+        panel: board.describeSeats(board.resolvePanel(session.config || {})),
+        rawMetrics: {
+            input: (session.config && session.config.input) || 'voice',
+            language: languageOf(session.config),
+            totalResponses: session.metrics.responses.length,
+            interruptions: session.metrics.interruptions || 0,
+            composure: summarizeComposure(session),
+            delivery: delivery.summarizeDelivery(session.metrics.responses),
+            hesitationByTopic: delivery.hesitationByTopic(answers),
+            averageWordCount: wordCounts.length > 0
+                ? Math.round(wordCounts.reduce((a, b) => a + b, 0) / wordCounts.length)
+                : 0
+        }
+    };
+}
+
+// ============ HISTORY ============
+
+function normalizeTranscript(transcript) {
+    return (transcript || [])
+        .filter(m => m && (m.role === 'user' || m.role === 'assistant'))
+        .map(m => ({
+            role: m.role,
+            content: String(m.content || ''),
+            speaker: m.role === 'assistant' && m.speaker ? String(m.speaker) : undefined,
+            timestamp: m.timestamp || null
+        }));
+}
+
+// Everything worth keeping once the session itself is deleted
+function buildInterviewRecord(sessionId, session, report) {
+    return {
+        id: sessionId,
+        // Stored under the owning account, so one account never sees another's interviews
+        candidateId: session.accountId || profiles.candidateId(session.profile),
+        candidate: session.profile.name,
+        profile: session.profile,
+        config: session.config || null,
+        catalogueVersion: session.catalogue ? session.catalogue.version : null,
+        startedAt: session.startedAt || null,
+        completedAt: new Date().toISOString(),
+        questionCount: session.conversationState.questionCount,
+        topicsCovered: session.conversationState.topicsCovered,
+        topicQuestions: session.conversationState.topicQuestions || {},
+        followUps: session.conversationState.followUps || [],
+        transcript: normalizeTranscript(session.transcript),
+        analysis: report.analysis,
+        answers: report.answers || [],
+        panel: report.panel || [],
+        rawMetrics: report.rawMetrics
+    };
+}
+
+function averageScore(analysis) {
+    const scores = Object.values((analysis && analysis.scores) || {}).map(s => Number(s.score)).filter(n => !Number.isNaN(n));
+    return scores.length > 0 ? Math.round((scores.reduce((a, b) => a + b, 0) / scores.length) * 10) / 10 : null;
+}
+
+// List view of a stored interview
+function summarizeInterview(record) {
+    return {
+        id: record.id,
+        candidate: record.candidate,
+        startedAt: record.startedAt,
+        completedAt: record.completedAt,
+        mode: record.config ? record.config.mode : null,
+        input: record.config ? record.config.input || 'voice' : 'voice',
+        language: languageOf(record.config),
+        temperament: temperamentOf(record.config),
+        catalogueVersion: record.catalogueVersion || null,
+        questionCount: record.questionCount,
+        topicsCovered: record.topicsCovered,
+        averageScore: averageScore(record.analysis),
+        scores: Object.fromEntries(Object.entries(record.analysis.scores || {}).map(([key, s]) => [key, s.score]))
+    };
+}
+
+module.exports = {
+    createSession,
+    setProfile,
+    recordResponse,
+    recordAnswer,
+    recordTranscription,
+    describeResume,
+    prepareTurn,
+    generateQuestion,
+    streamQuestion,
+    generateReport,
+    buildInterviewRecord,
+    summarizeInterview,
+    averageScore
+};
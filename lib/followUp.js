@@ -0,0 +1,203 @@
+// Adaptive follow-ups - before the board asks its next question, the candidate's latest answer is
+// classified, and the label decides what that question does:
+//
+//   vague      drill      press for specifics, an example, a figure
+//   off-topic  drill      bring the candidate back to the question actually asked
+//   evasive    challenge  ask again, directly - the candidate side-stepped it
+//   shaky      challenge  name the doubtful claim and ask the candidate to defend or correct it
+//   strong     raise      a harder question on the same topic - or a new topic once its share is used
+//
+// Follow-ups (drill, challenge) stay on the topic without using up its questionsPerTopic share.
+// After the temperament's maxFollowUps in a row the board stops pressing and changes topic; a
+// tougher temperament also cross-examines some sound answers (lib/temperament.js). An answer that
+// could not be classified falls back to the plain count: next question on the topic, or a new topic.
+//
+// decision: { questionIndex, topic, label, reason, claim, action, crossExamined, difficulty } - the
+// trail is kept on conversationState.followUps and attached to the report's answers.
+
+const providers = require('./providers');
+const { countWords } = require('./answers');
+const { sessionTopics, DIFFICULTIES } = require('./topics');
+const { evaluatorReference } = require('./currentAffairs');
+const { languageOf } = require('./language');
+const { sessionUsage, meter } = require('./usage');
+const { settingsFor } = require('./temperament');
+
+const LABELS = ['strong', 'vague', 'evasive', 'shaky', 'off-topic'];
+
+const ACTIONS = {
+    vague: 'drill',
+    'off-topic': 'drill',
+    evasive: 'challenge',
+    shaky: 'challenge'
+};
+
+// Answers this short are vague whatever they say - used when the classifier is unavailable
+const VAGUE_WORDS = 12;
+
+// The next question waits on this call, so it gets a tight budget
+const CLASSIFY_OPTIONS = {
+    temperature: 0,
+    maxTokens: 150,
+    json: true,
+    timeoutMs: 6000
+};
+
+// ============ CLASSIFICATION ============
+
+function buildClassifyPrompt(profile, topic, question, answer, reference) {
+    return `Classify ${profile.name}'s latest answer in a UPSC personality test.
+
+Topic: ${topic}
+Question: ${question}
+Answer: ${answer}
+${reference ? `\n${reference}\n` : ''}
+Labels:
+- strong: answers the question with specifics, reasoning and a clear position
+- vague: generic or textbook statements, no example, figure or commitment
+- evasive: side-steps the question, answers a different one, or refuses to take a position
+- shaky: rests on a claim that is factually wrong or doubtful${reference ? ' (check against the reference)' : ''}
+- off-topic: does not address the question at all
+
+Pick the ONE label that best describes the answer. For shaky, quote the doubtful claim.
+
+Format as JSON:
+{"label": "strong|vague|evasive|shaky|off-topic", "reason": "one short sentence", "claim": "the doubtful claim, or null"}`;
+}
+
+async function classify(session, topic, question, answer) {
+    const reference = evaluatorReference(sessionTopics(session).filter(t => t.name === topic));
+    const content = await providers.llm().complete({
+        task: 'classify',
+        language: languageOf(session.config),
+        messages: [
+            { role: 'system', content: 'You are a UPSC interview board member judging one answer. Output ONLY valid JSON.' },
+            { role: 'user', content: buildClassifyPrompt(session.profile, topic, question, answer, reference) }
+        ],
+        ...CLASSIFY_OPTIONS,
+        onUsage: meter(sessionUsage(session))
+    });
+
+    const result = JSON.parse(content);
+    if (!LABELS.includes(result.label)) {
+        throw new Error(`Unknown answer label: ${result.label}`);
+    }
+    return {
+        label: result.label,
+        reason: result.reason ? String(result.reason) : null,
+        claim: result.label === 'shaky' && result.claim ? String(result.claim) : null
+    };
+}
+
+// Classify the answer to the latest topic question and keep it on the state for prepareTurn.
+// Nothing to do for the introduction, an unanswered question or one already assessed.
+async function assessLatestAnswer(session) {
+    const state = session.conversationState;
+    const transcript = session.transcript || [];
+    const last = transcript[transcript.length - 1];
+    const questionLog = state.questionLog || [];
+    const questionIndex = questionLog.length - 1;
+
+    if (state.concluded || !state.currentTopic || !last || last.role !== 'user' || questionIndex < 0) return;
+    if (state.assessment && state.assessment.questionIndex === questionIndex) return;
+
+    const { topic, question } = questionLog[questionIndex];
+    let result;
+    try {
+        result = await classify(session, topic, question, last.content);
+    } catch (error) {
+        console.error('Answer classification failed:', error.message);
+        result = countWords(last.content) < VAGUE_WORDS
+            ? { label: 'vague', reason: 'Very short answer', claim: null }
+            : { label: null, reason: null, claim: null };
+    }
+    state.assessment = { questionIndex, topic, ...result };
+}
+
+// ============ DECISION ============
+
+function raise(difficulty) {
+    const index = DIFFICULTIES.indexOf(difficulty);
+    return DIFFICULTIES[Math.min(index < 0 ? 1 : index + 1, DIFFICULTIES.length - 1)];
+}
+
+// True when enough sound answers went unchallenged since the last cross-examination - this one
+// would be the temperament's Nth. Follow-ups and topic changes in between do not count.
+function dueForCrossExamination(state, every) {
+    if (!every) return false;
+    const trail = state.followUps || [];
+    const last = trail.map(d => Boolean(d.crossExamined)).lastIndexOf(true);
+    const unchallenged = trail.slice(last + 1).filter(d => d.action === 'continue' || d.action === 'raise');
+    return unchallenged.length + 1 >= every;
+}
+
+// What the next question does, from the pending assessment. Consumes the assessment and
+// adds the decision to the trail; null on the first topic question.
+function decideNext(state, questionsPerTopic, temperament) {
+    const assessment = state.assessment;
+    state.assessment = null;
+    if (!state.currentTopic) return null;
+
+    const { maxFollowUps, crossExamineEvery } = settingsFor(temperament);
+    const shareLeft = state.questionsOnCurrentTopic < questionsPerTopic;
+    const label = assessment ? assessment.label : null;
+    const pressedOut = (state.followUpsInARow || 0) >= maxFollowUps;
+    let action = ACTIONS[label] || (shareLeft ? 'continue' : 'change');
+    if (isFollowUp(action) && pressedOut) action = 'change';
+    if (label === 'strong' && shareLeft) action = 'raise';
+
+    // A sound answer can still be contradicted, to see whether the candidate holds their ground
+    const crossExamined = !ACTIONS[label] && !pressedOut && dueForCrossExamination(state, crossExamineEvery);
+    if (crossExamined) action = 'challenge';
+
+    const decision = {
+        questionIndex: assessment ? assessment.questionIndex : (state.questionLog || []).length - 1,
+        topic: state.currentTopic,
+        label,
+        reason: assessment ? assessment.reason : null,
+        claim: assessment ? assessment.claim : null,
+        action,
+        crossExamined,
+        difficulty: action === 'raise' ? raise(state.difficulty) : state.difficulty || null
+    };
+    state.followUps = state.followUps || [];
+    state.followUps.push(decision);
+    return decision;
+}
+
+function isFollowUp(action) {
+    return action === 'drill' || action === 'challenge';
+}
+
+// Line for the interviewer's turn guidance; a new topic needs none
+function describeDecision(decision) {
+    if (!decision) return null;
+    switch (decision.action) {
+        case 'drill':
+            return decision.label === 'off-topic'
+                ? 'FOLLOW-UP: The last answer missed the question. Bring the candidate back to it - restate what you asked, briefly.'
+                : 'FOLLOW-UP: The last answer was vague. Drill deeper on the same point - demand a specific example, figure or case.';
+        case 'challenge':
+            if (decision.crossExamined) {
+                return 'CROSS-EXAMINE: Contradict the last answer even though it was reasonable - take the opposing view or attack a premise, firmly. See whether the candidate holds their ground calmly; do not concede easily.';
+            }
+            if (decision.claim) {
+                return `FOLLOW-UP: Challenge this claim from the last answer: "${decision.claim}". Ask the candidate to back it up or correct it.`;
+            }
+            return decision.label === 'shaky'
+                ? 'FOLLOW-UP: The last answer rested on a doubtful claim. Challenge it and ask the candidate to back it up or correct it.'
+                : 'FOLLOW-UP: The last answer side-stepped the question. Press for a direct answer and a clear position.';
+        case 'raise':
+            return 'NEXT: The last answer was strong. Ask a HARDER question on this topic - a trade-off, a counter-argument or a real dilemma.';
+        default:
+            return null;
+    }
+}
+
+module.exports = {
+    LABELS,
+    assessLatestAnswer,
+    decideNext,
+    isFollowUp,
+    describeDecision
+};
@@ -0,0 +1,151 @@
+// Interview history - completed interviews kept per candidate with no expiry
+// Same backend choice as the session store: memory, file or redis (HISTORY_STORE)
+
+const fs = require('fs');
+const path = require('path');
+const { getRedisClient } = require('./redisClient');
+
+const DEFAULT_HISTORY_DIR = path.join(__dirname, '..', '.history');
+
+// IDs become file names and Redis keys
+function isValidId(id) {
+    return /^[\w-]+$/.test(String(id));
+}
+
+function byNewest(a, b) {
+    return String(b.completedAt).localeCompare(String(a.completedAt));
+}
+
+// ============ MEMORY ============
+
+function createMemoryHistory() {
+    const records = new Map();
+
+    return {
+        backend: 'memory',
+
+        async save(record) {
+            records.set(`${record.candidateId}/${record.id}`, JSON.stringify(record));
+        },
+
+        async list(candidateId) {
+            return [...records.entries()]
+                .filter(([key]) => key.startsWith(`${candidateId}/`))
+                .map(([, json]) => JSON.parse(json))
+                .sort(byNewest);
+        },
+
+        async get(candidateId, interviewId) {
+            const json = records.get(`${candidateId}/${interviewId}`);
+            return json ? JSON.parse(json) : null;
+        }
+    };
+}
+
+// ============ JSON FILE ============
+
+// One directory per candidate, one file per interview
+function createFileHistory({ dir = DEFAULT_HISTORY_DIR } = {}) {
+    return {
+        backend: 'file',
+
+        async save(record) {
+            if (!isValidId(record.candidateId) || !isValidId(record.id)) {
+                throw new Error('Invalid candidate or interview ID');
+            }
+            const candidateDir = path.join(dir, record.candidateId);
+            const file = path.join(candidateDir, `${record.id}.json`);
+            await fs.promises.mkdir(candidateDir, { recursive: true });
+            await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(record, null, 2));
+            await fs.promises.rename(`${file}.tmp`, file);
+        },
+
+        async list(candidateId) {
+            if (!isValidId(candidateId)) return [];
+
+            let files;
+            try {
+                files = await fs.promises.readdir(path.join(dir, candidateId));
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const records = await Promise.all(files
+                .filter(f => f.endsWith('.json'))
+                .map(async f => JSON.parse(await fs.promises.readFile(path.join(dir, candidateId, f), 'utf8'))));
+            return records.sort(byNewest);
+        },
+
+        async get(candidateId, interviewId) {
+            if (!isValidId(candidateId) || !isValidId(interviewId)) return null;
+
+            try {
+                return JSON.parse(await fs.promises.readFile(path.join(dir, candidateId, `${interviewId}.json`), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        }
+    };
+}
+
+// ============ REDIS ============
+
+// history:<candidate> is a list of interview IDs, interview:<candidate>:<id> holds the record
+function createRedisHistory({ url } = {}) {
+    const getClient = () => getRedisClient(url);
+
+    return {
+        backend: 'redis',
+
+        async save(record) {
+            const client = await getClient();
+            await client.set(`interview:${record.candidateId}:${record.id}`, JSON.stringify(record));
+            await client.lRem(`history:${record.candidateId}`, 0, record.id);
+            await client.lPush(`history:${record.candidateId}`, record.id);
+        },
+
+        async list(candidateId) {
+            const client = await getClient();
+            const ids = await client.lRange(`history:${candidateId}`, 0, -1);
+            if (ids.length === 0) return [];
+
+            const values = await client.mGet(ids.map(id => `interview:${candidateId}:${id}`));
+            return values.filter(Boolean).map(v => JSON.parse(v)).sort(byNewest);
+        },
+
+        async get(candidateId, interviewId) {
+            const client = await getClient();
+            const data = await client.get(`interview:${candidateId}:${interviewId}`);
+            return data ? JSON.parse(data) : null;
+        }
+    };
+}
+
+// ============ FACTORY ============
+
+const backends = {
+    memory: createMemoryHistory,
+    file: createFileHistory,
+    redis: createRedisHistory
+};
+
+// `backend` is the entry point's default; HISTORY_STORE overrides it
+function createHistoryStore({ backend, ...options } = {}) {
+    const name = process.env.HISTORY_STORE || backend || 'file';
+    const create = backends[name];
+    if (!create) {
+        throw new Error(`Unknown history store: ${name} (use memory, file or redis)`);
+    }
+
+    return create({
+        dir: process.env.HISTORY_DIR || DEFAULT_HISTORY_DIR,
+        url: process.env.UPSC_REDIS_URL,
+        ...options
+    });
+}
+
+module.exports = {
+    createHistoryStore
+};
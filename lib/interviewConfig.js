@@ -0,0 +1,137 @@
+// Interview length and pacing - a session runs to a target duration and a question budget,
+// whichever comes first. Modes are presets; any field can be overridden per session.
+// format picks a single interviewer or a full board (chair plus members).
+// input is 'voice' (spoken answers) or 'text' (typed answers, no microphone).
+// language is 'en', 'hi' or 'bilingual' (the board may switch between Hindi and English).
+// temperament is how hard the board presses: 'friendly', 'neutral', 'adversarial' or 'rapid-fire'.
+
+const { loadBoard, MAX_MEMBERS } = require('./board');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('./language');
+const { TEMPERAMENTS, DEFAULT_TEMPERAMENT } = require('./temperament');
+
+const INTERVIEW_MODES = {
+    // A real UPSC board runs about 25-35 minutes
+    full: { label: 'Full interview', durationMinutes: 30, questionLimit: 40, questionsPerTopic: 6 },
+    // Daily practice
+    drill: { label: 'Daily drill', durationMinutes: 10, questionLimit: 15, questionsPerTopic: 3 }
+};
+
+const DEFAULT_MODE = 'full';
+const FORMATS = ['single', 'board'];
+const INPUTS = ['voice', 'text'];
+
+const LIMITS = {
+    durationMinutes: { min: 5, max: 60 },
+    questionLimit: { min: 5, max: 100 },
+    questionsPerTopic: { min: 1, max: 20 }
+};
+
+// Start steering toward a conclusion once this share of the time or budget is used
+const WRAP_UP_SHARE = 0.85;
+
+// Validate a submitted interview config. Returns { config, errors } - config is null when invalid.
+function validateInterviewConfig(input) {
+    if (input === undefined || input === null) {
+        return { config: { mode: DEFAULT_MODE, ...INTERVIEW_MODES[DEFAULT_MODE], format: 'single', input: 'voice', language: DEFAULT_LANGUAGE, temperament: DEFAULT_TEMPERAMENT }, errors: [] };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { config: null, errors: ['config must be a JSON object'] };
+    }
+
+    const errors = [];
+    const mode = input.mode || DEFAULT_MODE;
+    const preset = INTERVIEW_MODES[mode];
+    if (!preset) {
+        return { config: null, errors: [`mode must be one of: ${Object.keys(INTERVIEW_MODES).join(', ')}`] };
+    }
+
+    const config = {
+        mode,
+        ...preset,
+        format: input.format || 'single',
+        input: input.input || 'voice',
+        language: input.language || DEFAULT_LANGUAGE,
+        temperament: input.temperament || DEFAULT_TEMPERAMENT
+    };
+    if (!FORMATS.includes(config.format)) {
+        errors.push(`format must be one of: ${FORMATS.join(', ')}`);
+    }
+    if (!INPUTS.includes(config.input)) {
+        errors.push(`input must be one of: ${INPUTS.join(', ')}`);
+    }
+    if (!LANGUAGES[config.language]) {
+        errors.push(`language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+    }
+    if (!TEMPERAMENTS[config.temperament]) {
+        errors.push(`temperament must be one of: ${Object.keys(TEMPERAMENTS).join(', ')}`);
+    }
+    Object.entries(LIMITS).forEach(([field, { min, max }]) => {
+        if (input[field] === undefined || input[field] === null || input[field] === '') return;
+
+        const value = Number(input[field]);
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`${field} must be a whole number between ${min} and ${max}`);
+        } else {
+            config[field] = value;
+        }
+    });
+
+    if (config.questionsPerTopic > config.questionLimit) {
+        config.questionsPerTopic = config.questionLimit;
+    }
+
+    if (config.format === 'board') {
+        if (input.boardSize !== undefined && input.boardSize !== null && input.boardSize !== '') {
+            const size = Number(input.boardSize);
+            if (!Number.isInteger(size) || size < 1 || size > MAX_MEMBERS) {
+                errors.push(`boardSize must be a whole number between 1 and ${MAX_MEMBERS}`);
+            } else {
+                config.boardSize = size;
+            }
+        }
+        if (input.members !== undefined) {
+            const { personas, chair } = loadBoard();
+            if (!Array.isArray(input.members) || input.members.some(id => !personas.has(id) || id === chair.id)) {
+                errors.push(`members must be a list of board member IDs (${[...personas.keys()].filter(id => id !== chair.id).join(', ')})`);
+            } else {
+                config.members = [...new Set(input.members)].slice(0, MAX_MEMBERS);
+            }
+        }
+    }
+
+    return errors.length > 0 ? { config: null, errors } : { config, errors };
+}
+
+// ============ PACING ============
+
+// Where the session stands against its budget: 'main', 'wrap-up' or 'closing'
+function pacing(session, now = Date.now()) {
+    const config = session.config || validateInterviewConfig().config;
+    const state = session.conversationState;
+
+    const elapsedMs = Math.max(0, now - Date.parse(session.startedAt));
+    const durationMs = config.durationMinutes * 60 * 1000;
+    const questionsLeft = Math.max(0, config.questionLimit - state.questionCount);
+    const minutesLeft = Math.max(0, Math.ceil((durationMs - elapsedMs) / 60000));
+
+    let phase = 'main';
+    if (elapsedMs >= durationMs || questionsLeft === 0) {
+        phase = 'closing';
+    } else if (elapsedMs >= durationMs * WRAP_UP_SHARE || state.questionCount >= config.questionLimit * WRAP_UP_SHARE) {
+        phase = 'wrap-up';
+    }
+
+    return {
+        phase,
+        elapsedMinutes: Math.floor(elapsedMs / 60000),
+        minutesLeft,
+        questionsLeft
+    };
+}
+
+module.exports = {
+    INTERVIEW_MODES,
+    DEFAULT_MODE,
+    validateInterviewConfig,
+    pacing
+};
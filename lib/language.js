@@ -0,0 +1,84 @@
+// Interview language - English, Hindi, or a bilingual board that may switch between the two.
+// One place for everything that changes with the language: transcription hints, the interviewer's
+// instructions, the TTS language and how the evaluator treats answers.
+
+const LANGUAGES = {
+    en: {
+        label: 'English',
+        code: 'en',
+        // Whisper drops disfluencies unless the prompt shows them, and hesitation analysis needs them kept
+        sttPrompt: 'Umm, let me think, uh... so the the policy, I mean, it is, hmm, basically about gov- governance.'
+    },
+    hi: {
+        label: 'Hindi',
+        code: 'hi',
+        sttPrompt: 'अं, मतलब, मैं सोचता हूँ... जो है, वो नीति, यानी, हम्म, शासन- शासन व्यवस्था के बारे में है।'
+    },
+    bilingual: {
+        label: 'Bilingual (Hindi and English)',
+        code: null, // Whisper detects the language of each answer
+        sttPrompt: 'Umm, मतलब, I think... the the scheme, यानी, hmm, ground level पर implementation- implementation weak था।'
+    }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+function languageOf(config) {
+    return (config && LANGUAGES[config.language]) ? config.language : DEFAULT_LANGUAGE;
+}
+
+// Whisper hints: { language, prompt } - language is null when it should detect
+function transcriptionOptions(language = DEFAULT_LANGUAGE) {
+    const entry = LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE];
+    return { language: entry.code, prompt: entry.sttPrompt };
+}
+
+// ISO 639-1 code for TTS, or null to let the voice model follow the text
+function speechLanguage(language = DEFAULT_LANGUAGE) {
+    return (LANGUAGES[language] || LANGUAGES[DEFAULT_LANGUAGE]).code;
+}
+
+// Appended to the interviewer prompt; English interviews need nothing extra
+function interviewerInstruction(language = DEFAULT_LANGUAGE) {
+    if (language === 'hi') {
+        return `LANGUAGE:
+- Conduct the entire interview in Hindi, written in Devanagari script
+- Use the formal register of a UPSC board (आप, never तुम)
+- Names of schemes, institutions and technical terms may stay in English where a Hindi-medium board would use them
+- The candidate answers in Hindi`;
+    }
+    if (language === 'bilingual') {
+        return `LANGUAGE:
+- This is a bilingual board: ask in Hindi (Devanagari script) or English, and switch between them the way a real board does
+- Keep each question in one language; switching between questions is fine
+- The candidate may answer in Hindi, English or a mix of both`;
+    }
+    return '';
+}
+
+// Added to the report and per-answer scoring prompts; empty for English
+function evaluatorInstruction(language = DEFAULT_LANGUAGE) {
+    if (language === 'hi') {
+        return `Interview Language: Hindi
+- The candidate answered in Hindi. Evaluate each answer in Hindi, on its own terms - substance, structure and expression in Hindi.
+- Do NOT penalise the choice of Hindi, and do not mark down for Hindi vocabulary or idiom.
+- Quote the candidate in the original Hindi; write your own feedback in English.`;
+    }
+    if (language === 'bilingual') {
+        return `Interview Language: Bilingual (Hindi and English)
+- Questions and answers switch between Hindi and English, sometimes mid-sentence. Evaluate each answer in the language(s) it was given.
+- Do NOT penalise switching languages; only call it out if it made an answer unclear.
+- Quote the candidate in the original language; write your own feedback in English.`;
+    }
+    return '';
+}
+
+module.exports = {
+    LANGUAGES,
+    DEFAULT_LANGUAGE,
+    languageOf,
+    transcriptionOptions,
+    speechLanguage,
+    interviewerInstruction,
+    evaluatorInstruction
+};
@@ -0,0 +1,281 @@
+// Candidate profile (DAF) - validation and prompt building
+// Every interviewer prompt, greeting and closing line is derived from the profile
+
+const fs = require('fs');
+const path = require('path');
+
+const { interviewerInstruction } = require('./language');
+const { interviewerInstruction: temperamentInstruction } = require('./temperament');
+
+const SAMPLE_PROFILE = require('../data/sample-profile.json');
+
+// What each service means to the board when probing motivation
+const SERVICE_FOCUS = {
+    IAS: 'district administration and policy implementation',
+    IFS: 'diplomacy and foreign service',
+    IPS: 'policing and internal security',
+    IRS: 'revenue administration and taxation',
+    IRTS: 'railway management',
+    IPoS: 'postal and communication services',
+    IAAS: 'public audit and accountability'
+};
+
+const MAX_TEXT_LENGTH = 300;
+const MAX_LIST_LENGTH = 20;
+
+function cleanText(value) {
+    if (typeof value !== 'string') return '';
+    return value.trim().replace(/\s+/g, ' ').slice(0, MAX_TEXT_LENGTH);
+}
+
+function cleanList(value) {
+    if (!Array.isArray(value)) return [];
+    return value.map(cleanText).filter(Boolean).slice(0, MAX_LIST_LENGTH);
+}
+
+// Entries may be plain strings ("B.A. Economics, SRCC") or structured objects
+function cleanEntries(value, fields) {
+    if (!Array.isArray(value)) return [];
+    return value
+        .map(entry => {
+            if (typeof entry === 'string') {
+                const text = cleanText(entry);
+                return text ? { [fields[0]]: text } : null;
+            }
+            if (!entry || typeof entry !== 'object') return null;
+            const cleaned = {};
+            fields.forEach(field => {
+                const text = cleanText(entry[field]);
+                if (text) cleaned[field] = text;
+            });
+            return cleaned[fields[0]] ? cleaned : null;
+        })
+        .filter(Boolean)
+        .slice(0, MAX_LIST_LENGTH);
+}
+
+// Validate a submitted profile. Returns { profile, errors } - profile is null when invalid.
+function validateProfile(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { profile: null, errors: ['Profile must be a JSON object'] };
+    }
+
+    const profile = {
+        name: cleanText(input.name),
+        rollNumber: cleanText(input.rollNumber),
+        age: null,
+        hometown: cleanText(input.hometown),
+        homeState: cleanText(input.homeState),
+        education: cleanEntries(input.education, ['degree', 'institution', 'score']),
+        optionalSubject: cleanText(input.optionalSubject),
+        servicePreferences: cleanList(input.servicePreferences),
+        cadrePreferences: cleanList(input.cadrePreferences),
+        hobbies: cleanList(input.hobbies),
+        achievements: cleanList(input.achievements),
+        workExperience: cleanEntries(input.workExperience, ['role', 'organisation', 'duration']),
+        background: cleanText(input.background)
+    };
+
+    if (!profile.name) errors.push('name is required');
+    if (!profile.homeState) errors.push('homeState is required');
+    if (profile.education.length === 0) errors.push('education needs at least one entry');
+    if (!profile.optionalSubject) errors.push('optionalSubject is required');
+    if (profile.servicePreferences.length === 0) errors.push('servicePreferences needs at least one service');
+
+    if (input.age !== undefined && input.age !== null && input.age !== '') {
+        const age = Number(input.age);
+        if (!Number.isInteger(age) || age < 21 || age > 45) {
+            errors.push('age must be a whole number between 21 and 45');
+        } else {
+            profile.age = age;
+        }
+    }
+
+    return errors.length > 0 ? { profile: null, errors } : { profile, errors };
+}
+
+// Default candidate used when a session has no profile attached.
+// Set CANDIDATE_PROFILE_PATH to point at another JSON profile.
+function loadDefaultProfile() {
+    let source = SAMPLE_PROFILE;
+
+    if (process.env.CANDIDATE_PROFILE_PATH) {
+        const filePath = path.resolve(process.env.CANDIDATE_PROFILE_PATH);
+        source = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    const { profile, errors } = validateProfile(source);
+    if (!profile) {
+        throw new Error(`Invalid default candidate profile: ${errors.join(', ')}`);
+    }
+    return profile;
+}
+
+// ============ PROFILE HELPERS ============
+
+function firstName(profile) {
+    return profile.name.split(' ')[0];
+}
+
+// Stable key for a candidate's interview history - roll number when known, otherwise the name
+function candidateId(profile) {
+    const source = profile.rollNumber || profile.name;
+    return source.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+function topService(profile) {
+    return profile.servicePreferences[0];
+}
+
+function serviceFocus(service) {
+    return SERVICE_FOCUS[service] || `a career in the ${service}`;
+}
+
+function homeDistrict(profile) {
+    return profile.hometown || `a district in ${profile.homeState}`;
+}
+
+function formatList(items, fallback = 'none listed') {
+    return items.length > 0 ? items.join('; ') : fallback;
+}
+
+function formatEducation(profile) {
+    return profile.education
+        .map(e => [e.degree, e.institution].filter(Boolean).join(', ') + (e.score ? ` (${e.score})` : ''))
+        .join('; ');
+}
+
+function formatWorkExperience(profile) {
+    return profile.workExperience
+        .map(w => [w.role, w.organisation].filter(Boolean).join(', ') + (w.duration ? ` (${w.duration})` : ''))
+        .join('; ');
+}
+
+// DAF facts the board already knows and must not ask about
+function describeProfile(profile) {
+    const lines = [
+        `- Name: ${profile.name}`,
+        profile.rollNumber && `- Roll Number: ${profile.rollNumber}`,
+        profile.age && `- Age: ${profile.age} years old`,
+        `- From: ${profile.hometown ? `${profile.hometown}, ` : ''}${profile.homeState}`,
+        `- Education: ${formatEducation(profile)}`,
+        `- Optional Subject: ${profile.optionalSubject}`,
+        `- Service Preferences: ${profile.servicePreferences.join(' > ')}`,
+        profile.cadrePreferences.length > 0 && `- Cadre Preferences: ${profile.cadrePreferences.join(' > ')}`,
+        profile.workExperience.length > 0 && `- Work Experience: ${formatWorkExperience(profile)}`,
+        profile.background && `- Background: ${profile.background}`,
+        `- Achievements: ${formatList(profile.achievements)}`,
+        `- Hobbies: ${formatList(profile.hobbies)}`
+    ];
+    return lines.filter(Boolean).join('\n');
+}
+
+// ============ PROMPTS ============
+
+// Who else sits on the board, so a member never speaks for the others
+function describePanel(panel, persona) {
+    if (!panel || panel.format !== 'board') return '';
+
+    const seats = [`- Chairperson: ${panel.chair.name}`]
+        .concat(panel.members.map((m, i) => `- Member ${i + 1}: ${m.name}`));
+    return `
+THE BOARD:
+${seats.join('\n')}
+You are ${persona.name}. Speak ONLY as yourself - never for another member, never announce handovers.
+Earlier interviewer turns in the conversation may be other members' questions; build on them, don't repeat them.
+`;
+}
+
+// persona comes from the board definition (lib/board.js); panel is set in board format
+// language adds the LANGUAGE section for Hindi and bilingual interviews (see ./language)
+function buildInterviewerPrompt(profile, persona, panel, language = 'en', temperament) {
+    const service = topService(profile);
+
+    return `You are ${persona.name}, ${persona.summary}, ${panel && panel.format === 'board' ? `${persona.title === 'Chairperson' ? 'chairing' : 'sitting on'} a UPSC personality test board` : 'conducting a UPSC personality test interview'}.
+
+YOUR IDENTITY:
+- Name: ${persona.name}
+${persona.identity.map(line => `- ${line}`).join('\n')}
+${describePanel(panel, persona)}
+THE CANDIDATE YOU'RE INTERVIEWING: ${profile.name}
+
+YOUR STYLE:
+${persona.style.map(line => `- ${line}`).join('\n')}
+
+WHAT YOU ALREADY KNOW FROM THE DAF (don't ask these):
+${describeProfile(profile)}
+
+FOCUS YOUR QUESTIONS ON:
+- Why ${service} specifically? Why civil services?
+- What draws the candidate to ${serviceFocus(service)}?
+- ${profile.optionalSubject} (optional subject) applied to real policy debates
+- Current affairs: international relations, the economy, governance, social issues
+- ${profile.homeState}: governance challenges the candidate has seen first-hand
+- Ethics and governance: situational questions, policy implementation challenges
+- The candidate's interests: ${formatList(profile.hobbies.concat(profile.achievements))}
+
+REMEMBER:
+- You're interviewing ${profile.name}. The candidate answers. You ask.
+- If the answer is vague: "Be more specific" or "Give me an example"
+- Keep it short, sharp, substantive
+- Never ask for name, roll number, hometown or education - you already know them${temperamentSection(temperament)}${languageSection(language)}`;
+}
+
+function temperamentSection(temperament) {
+    const instruction = temperamentInstruction(temperament);
+    return instruction ? `\n\n${instruction}` : '';
+}
+
+function languageSection(language) {
+    const instruction = interviewerInstruction(language);
+    return instruction ? `\n\n${instruction}` : '';
+}
+
+function openingInstruction(profile) {
+    return `Begin the interview. Greet ${profile.name} formally and ask for a brief introduction.`;
+}
+
+function greetingLine(profile) {
+    return `Good morning, ${firstName(profile)}. Please introduce yourself.`;
+}
+
+// Fixed line for turns after the board has closed (and when the closing call fails)
+function closingLine(profile, language = 'en') {
+    if (language === 'hi') {
+        return `आपका साक्षात्कार समाप्त हुआ, ${firstName(profile)}। धन्यवाद।`;
+    }
+    return `Your interview is over, ${firstName(profile)}. Thank you.`;
+}
+
+function closingInstruction(profile) {
+    return `The board's time is up. Close the interview the way the head of a real UPSC board would: respond to ${firstName(profile)}'s last answer in at most one short sentence, then thank the candidate and say the interview is over. Do NOT ask another question.`;
+}
+
+// Pick two DAF interests to colour the session
+function pickSessionInterests(profile) {
+    const pool = profile.hobbies.concat(profile.achievements, [profile.optionalSubject]);
+    const shuffled = pool.sort(() => 0.5 - Math.random());
+    return shuffled.slice(0, 2);
+}
+
+module.exports = {
+    validateProfile,
+    loadDefaultProfile,
+    firstName,
+    candidateId,
+    topService,
+    serviceFocus,
+    homeDistrict,
+    formatList,
+    formatEducation,
+    formatWorkExperience,
+    describeProfile,
+    buildInterviewerPrompt,
+    openingInstruction,
+    greetingLine,
+    closingLine,
+    closingInstruction,
+    pickSessionInterests
+};
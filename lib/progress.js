@@ -0,0 +1,175 @@
+// Progress - aggregates a candidate's stored interviews into score trends,
+// per-topic averages and improvement points that keep coming back
+
+const { averageScore } = require('./engine');
+const { answerAverage } = require('./answers');
+
+const DIMENSIONS = ['content', 'communication', 'confidence', 'knowledge', 'etiquette'];
+
+// Two improvement points count as the same issue above this keyword overlap
+const SIMILARITY_THRESHOLD = 0.4;
+const MIN_RECURRENCES = 2;
+
+const STOPWORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it',
+    'more', 'most', 'not', 'of', 'on', 'or', 'the', 'their', 'this', 'to', 'too', 'was', 'were', 'with',
+    'every', 'each', 'when', 'your', 'you', 'candidate', 'answer', 'answers', 'response', 'responses'
+]);
+
+function round1(n) {
+    return Math.round(n * 10) / 10;
+}
+
+function mean(values) {
+    return values.length > 0 ? round1(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
+
+function toScore(value) {
+    const n = Number(value && typeof value === 'object' ? value.score : value);
+    return Number.isNaN(n) ? null : n;
+}
+
+// Oldest first, so trends read left to right
+function byOldest(a, b) {
+    return String(a.completedAt).localeCompare(String(b.completedAt));
+}
+
+// ============ SCORE TRENDS ============
+
+function buildTrends(records) {
+    const trends = {};
+    DIMENSIONS.forEach(dimension => {
+        trends[dimension] = records
+            .map(r => ({
+                interviewId: r.id,
+                completedAt: r.completedAt,
+                score: toScore(((r.analysis || {}).scores || {})[dimension])
+            }))
+            .filter(point => point.score !== null);
+    });
+    return trends;
+}
+
+// Change between the first and latest interview for each dimension
+function buildDeltas(trends) {
+    const deltas = {};
+    Object.entries(trends).forEach(([dimension, points]) => {
+        deltas[dimension] = points.length > 1 ? round1(points[points.length - 1].score - points[0].score) : null;
+    });
+    return deltas;
+}
+
+// ============ TOPIC AVERAGES ============
+
+// Per-answer scores for the topic when the interview has them, then the report's
+// topic score, then that interview's overall average
+function topicScore(record, name, fallback) {
+    const answerScores = (record.answers || [])
+        .filter(a => a.topic === name)
+        .map(answerAverage)
+        .filter(n => n !== null);
+    if (answerScores.length > 0) return mean(answerScores);
+
+    return toScore(((record.analysis || {}).topicScores || {})[name]) ?? fallback;
+}
+
+function buildTopicAverages(records) {
+    const topics = new Map();
+
+    records.forEach(record => {
+        const fallback = averageScore(record.analysis);
+        const questions = record.topicQuestions || {};
+
+        (record.topicsCovered || []).forEach(name => {
+            const score = topicScore(record, name, fallback);
+            const entry = topics.get(name) || { topic: name, scores: [], interviews: 0, questions: 0 };
+            if (score !== null) entry.scores.push(score);
+            entry.interviews++;
+            entry.questions += questions[name] || 0;
+            topics.set(name, entry);
+        });
+    });
+
+    return [...topics.values()]
+        .map(({ scores, ...entry }) => ({ ...entry, average: mean(scores) }))
+        .sort((a, b) => (a.average ?? 11) - (b.average ?? 11));
+}
+
+// ============ RECURRING IMPROVEMENTS ============
+
+function keywords(text) {
+    return new Set(String(text)
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(w => w.length > 2 && !STOPWORDS.has(w))
+        .map(w => w.replace(/(ing|ed|es|s)$/, '')));
+}
+
+function similarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(w => { if (b.has(w)) shared++; });
+    return shared / Math.min(a.size, b.size);
+}
+
+// Group improvement points by keyword overlap; a group that spans
+// several interviews is a weakness the candidate has not fixed yet
+function buildRecurringImprovements(records) {
+    const groups = [];
+
+    records.forEach(record => {
+        ((record.analysis || {}).improvements || []).forEach(text => {
+            const words = keywords(text);
+            const group = groups.find(g => similarity(g.words, words) >= SIMILARITY_THRESHOLD);
+            if (group) {
+                group.items.push({ interviewId: record.id, completedAt: record.completedAt, text });
+                words.forEach(w => group.words.add(w));
+            } else {
+                groups.push({ words, items: [{ interviewId: record.id, completedAt: record.completedAt, text }] });
+            }
+        });
+    });
+
+    return groups
+        .map(g => {
+            const interviewIds = [...new Set(g.items.map(i => i.interviewId))];
+            return {
+                text: g.items[g.items.length - 1].text, // latest wording
+                occurrences: interviewIds.length,
+                interviewIds,
+                firstSeen: g.items[0].completedAt,
+                lastSeen: g.items[g.items.length - 1].completedAt
+            };
+        })
+        .filter(g => g.occurrences >= MIN_RECURRENCES)
+        .sort((a, b) => b.occurrences - a.occurrences);
+}
+
+// ============ DASHBOARD ============
+
+function buildProgress(candidateId, records) {
+    const ordered = records.slice().sort(byOldest);
+    const trends = buildTrends(ordered);
+
+    return {
+        candidateId,
+        candidate: ordered.length > 0 ? ordered[ordered.length - 1].candidate : null,
+        interviewCount: ordered.length,
+        dimensions: DIMENSIONS,
+        overall: ordered.map(r => ({
+            interviewId: r.id,
+            completedAt: r.completedAt,
+            score: averageScore(r.analysis)
+        })),
+        trends,
+        deltas: buildDeltas(trends),
+        topics: buildTopicAverages(ordered),
+        recurringImprovements: buildRecurringImprovements(ordered)
+    };
+}
+
+module.exports = {
+    DIMENSIONS,
+    buildProgress
+};
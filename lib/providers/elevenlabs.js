@@ -0,0 +1,75 @@
+// ElevenLabs - voice library and streaming text to speech
+
+const fetch = require('node-fetch');
+
+// ============ VOICES ============
+
+// Every voice on the account: [{ voice_id, name, labels, description, preview_url }]
+async function listVoices() {
+    const response = await fetch('https://api.elevenlabs.io/v1/voices', {
+        method: 'GET',
+        headers: {
+            'xi-api-key': process.env.ELEVENLABS_API_KEY
+        }
+    });
+
+    if (!response.ok) {
+        throw new Error(`Failed to fetch voices: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.voices.map(v => ({
+        voice_id: v.voice_id,
+        name: v.name,
+        labels: v.labels,
+        description: v.description,
+        preview_url: v.preview_url
+    }));
+}
+
+// ============ SYNTHESIS ============
+
+// Streaming TTS - resolves to a readable MP3 stream the route can pipe to the client.
+// voice: { voiceId, stability, style, speed, language } - language (ISO 639-1) pins the
+// pronunciation, so Hindi is spoken as Hindi whatever voice the seat uses
+async function synthesize(text, voice) {
+    const body = {
+        text: text,
+        model_id: 'eleven_flash_v2_5', // Fastest model - 75ms latency, supports 32 languages
+        voice_settings: {
+            stability: voice.stability,
+            similarity_boost: 0.8, // High similarity for consistent voice
+            style: voice.style,
+            speed: voice.speed,
+            use_speaker_boost: true // Enhanced clarity
+        },
+        optimize_streaming_latency: 3, // Max latency optimization
+        output_format: 'mp3_22050_32' // Optimized for speed and quality
+    };
+    if (voice.language) body.language_code = voice.language;
+
+    const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voice.voiceId}/stream`, {
+        method: 'POST',
+        headers: {
+            'Accept': 'audio/mpeg',
+            'Content-Type': 'application/json',
+            'xi-api-key': process.env.ELEVENLABS_API_KEY
+        },
+        body: JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        console.error('ElevenLabs TTS API error:', response.status, error);
+        throw new Error(`TTS API error: ${response.status}`);
+    }
+
+    return response.body;
+}
+
+module.exports = {
+    name: 'elevenlabs',
+    requiredEnv: ['ELEVENLABS_API_KEY'],
+    listVoices,
+    synthesize
+};
@@ -0,0 +1,81 @@
+// Provider layer - speech to text, text to speech and chat completion behind one interface each,
+// so vendors can be swapped (or mocked) without touching the engine or the routes.
+//
+//   llm: complete({ task, language, messages, temperature, maxTokens, presencePenalty, frequencyPenalty, json, timeoutMs, onUsage }) -> text
+//        task is 'question', 'closing', 'report', 'scoring', 'classify' or 'daf' - the provider picks the model
+//        language is the interview language ('en', 'hi', 'bilingual'), when the task has one
+//        onUsage({ model, promptTokens, completionTokens }) is called once per call, when given
+//        stream(same options) -> async iterable of text deltas (optional - complete() is used without it)
+//   stt: transcribe({ buffer, mimetype, prompt, language }) -> { text, duration, words: [{ word, start, end }], segments }
+//        language is an ISO 639-1 code, or null to detect it
+//   tts: listVoices() -> [{ voice_id, name, labels, description, preview_url }]
+//        synthesize(text, { voiceId, stability, style, speed, language }) -> readable MP3 stream
+//        language is an ISO 639-1 code, or null to follow the text
+//
+// LLM_PROVIDER, STT_PROVIDER and TTS_PROVIDER pick each one; PROVIDER sets all three at once
+// (PROVIDER=mock runs the interview loop offline with no API keys).
+
+const openai = require('./openai');
+const elevenlabs = require('./elevenlabs');
+const mock = require('./mock');
+
+const KINDS = ['llm', 'stt', 'tts'];
+
+const DEFAULTS = {
+    llm: 'openai',
+    stt: 'openai',
+    tts: 'elevenlabs'
+};
+
+const registry = {
+    llm: { openai, mock },
+    stt: { openai, mock },
+    tts: { elevenlabs, mock }
+};
+
+// Add a vendor - provider needs { name, requiredEnv } plus the methods for its kind
+function registerProvider(kind, name, provider) {
+    if (!registry[kind]) {
+        throw new Error(`Unknown provider kind: ${kind} (use ${KINDS.join(', ')})`);
+    }
+    registry[kind][name] = provider;
+}
+
+function providerName(kind) {
+    const env = process.env;
+    const specific = env[`${kind.toUpperCase()}_PROVIDER`];
+    if (specific) return specific;
+    // PROVIDER only applies where that vendor offers the service
+    if (env.PROVIDER && registry[kind][env.PROVIDER]) return env.PROVIDER;
+    return DEFAULTS[kind];
+}
+
+function getProvider(kind) {
+    const name = providerName(kind);
+    const provider = registry[kind][name];
+    if (!provider) {
+        throw new Error(`Unknown ${kind} provider: ${name} (use ${Object.keys(registry[kind]).join(', ')})`);
+    }
+    return provider;
+}
+
+// Selected provider name per kind, for startup logs
+function describeProviders() {
+    return Object.fromEntries(KINDS.map(kind => [kind, providerName(kind)]));
+}
+
+// Environment variables the selected providers need but are not set
+function missingKeys() {
+    const required = KINDS.flatMap(kind => getProvider(kind).requiredEnv || []);
+    return [...new Set(required)].filter(key => !process.env[key]);
+}
+
+module.exports = {
+    registerProvider,
+    getProvider,
+    describeProviders,
+    missingKeys,
+    llm: () => getProvider('llm'),
+    stt: () => getProvider('stt'),
+    tts: () => getProvider('tts')
+};
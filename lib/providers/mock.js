@@ -0,0 +1,212 @@
+// Mock provider - deterministic and offline, for running the whole interview loop
+// without network access or API keys. Canned transcriptions, silent audio, scripted
+// interviewer questions and fixed mid-range scores.
+
+const { Readable } = require('stream');
+
+// ============ LLM ============
+
+const OPENING = 'Good morning. Please be seated. Tell us briefly about yourself and why you want to join the civil services.';
+
+const QUESTIONS = [
+    'You mentioned your background. How has it shaped the way you look at public service?',
+    'What would be your first priority as a District Collector in a drought-prone district?',
+    'How should India balance its strategic autonomy with its partnerships in the Indo-Pacific?',
+    'Give me one government scheme you think has underperformed, and why.',
+    'How would you handle a situation where a senior officer asks you to bend a rule?',
+    'What is the biggest challenge facing your home state today?',
+    'Should social media platforms be regulated like publishers? Defend your position.',
+    'Tell us about one of your hobbies. What has it taught you that a textbook could not?'
+];
+
+const CLOSING = 'Thank you. That will be all. You may leave now.';
+
+const MOCK_NOTE = 'Mock provider - run with a real LLM provider for genuine feedback.';
+
+function lastUserContent(messages) {
+    const user = messages.filter(m => m.role === 'user');
+    return user.length > 0 ? String(user[user.length - 1].content || '') : '';
+}
+
+// Scripted questions in order; the opening turn has no earlier interviewer questions
+function nextQuestion(messages) {
+    const asked = messages.filter(m => m.role === 'assistant').length;
+    if (asked === 0) return OPENING;
+    return QUESTIONS[(asked - 1) % QUESTIONS.length];
+}
+
+// Topic names from the report prompt's "Topics Covered" list
+function topicsIn(prompt) {
+    const section = prompt.split('Topics Covered (questions asked):')[1] || '';
+    const topics = [];
+    for (const line of section.split('\n').slice(1)) {
+        const match = line.match(/^- (.+) \(\d+\)$/);
+        if (!match) break;
+        topics.push(match[1]);
+    }
+    return topics;
+}
+
+function mockAnalysis(prompt) {
+    const feedback = MOCK_NOTE;
+    return {
+        scores: {
+            content: { score: 6, feedback },
+            communication: { score: 6, feedback },
+            confidence: { score: 6, feedback },
+            knowledge: { score: 6, feedback },
+            etiquette: { score: 7, feedback }
+        },
+        topicScores: Object.fromEntries(topicsIn(prompt).map(topic => [topic, 6])),
+        composure: { score: 6, feedback },
+        strengths: ['Answered every question asked'],
+        improvements: ['Support each claim with a specific example or figure'],
+        overall: MOCK_NOTE,
+        detailedNotes: {
+            responseLengths: MOCK_NOTE,
+            relevance: MOCK_NOTE,
+            depth: MOCK_NOTE,
+            structure: MOCK_NOTE
+        }
+    };
+}
+
+// One score set per answer index listed in the scoring prompt
+function mockScores(prompt) {
+    const indices = [...prompt.matchAll(/"index":\s*(\d+)/g)].map(m => Number(m[1]));
+    return {
+        answers: indices.map(index => ({
+            index,
+            relevance: 6,
+            depth: 5,
+            structure: 6,
+            specifics: 5,
+            comment: MOCK_NOTE
+        }))
+    };
+}
+
+// Short answers are vague, hedged ones evasive, the rest strong - enough to exercise every follow-up path
+function mockClassification(prompt) {
+    const answer = (prompt.match(/^Answer: (.*)$/m) || [])[1] || '';
+    if (answer.split(/\s+/).filter(Boolean).length < 12) {
+        return { label: 'vague', reason: MOCK_NOTE, claim: null };
+    }
+    if (/not sure|don't know|do not know|difficult to say/i.test(answer)) {
+        return { label: 'evasive', reason: MOCK_NOTE, claim: null };
+    }
+    return { label: 'strong', reason: MOCK_NOTE, claim: null };
+}
+
+function reply(task, messages) {
+    switch (task) {
+        case 'closing':
+            return CLOSING;
+        case 'report':
+            return JSON.stringify(mockAnalysis(lastUserContent(messages)));
+        case 'scoring':
+            return JSON.stringify(mockScores(lastUserContent(messages)));
+        case 'classify':
+            return JSON.stringify(mockClassification(lastUserContent(messages)));
+        case 'daf':
+            return '{}';
+        default:
+            return nextQuestion(messages);
+    }
+}
+
+// Rough token counts (about four characters each) so usage accounting has something to show
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / 4);
+}
+
+async function complete({ task, messages, onUsage }) {
+    const text = reply(task, messages);
+    if (onUsage) {
+        onUsage({
+            model: 'mock',
+            promptTokens: messages.reduce((sum, m) => sum + estimateTokens(m.content), 0),
+            completionTokens: estimateTokens(text)
+        });
+    }
+    return text;
+}
+
+// Same replies word by word, the way a real model streams them
+async function* stream(options) {
+    const text = await complete(options);
+    for (const word of text.split(/(?<= )/)) {
+        yield word;
+    }
+}
+
+// ============ STT ============
+
+const ANSWERS = [
+    'I grew up in a small town where the the district administration was the face of the state, and I want to be part of that.',
+    'My first priority would be drinking water, then I would look at crop insurance and MGNREGA work so that people do not migrate.',
+    'India should keep its options open. We work with the Quad on maritime security but we also engage with Russia and the Global South.',
+    'I think the scheme needed better last mile delivery. The funds were there but the monitoring was weak at the block level.'
+];
+
+const WORD_SECONDS = 0.3;
+const WORD_GAP_SECONDS = 0.08;
+const STALL_AFTER_WORD = 6;
+const STALL_SECONDS = 1.4;
+
+let transcriptionCount = 0;
+
+// Canned answers in rotation, with word timings that include one long stall and one restart
+async function transcribe() {
+    const text = ANSWERS[transcriptionCount++ % ANSWERS.length];
+
+    let clock = 0.5;
+    const words = text.split(/\s+/).map((word, i) => {
+        if (i === STALL_AFTER_WORD) clock += STALL_SECONDS;
+        const entry = { word, start: clock, end: clock + WORD_SECONDS };
+        clock += WORD_SECONDS + WORD_GAP_SECONDS;
+        return entry;
+    });
+
+    return {
+        text,
+        duration: Math.round((clock + 0.3) * 100) / 100,
+        words,
+        segments: [{ start: words[0].start, end: words[words.length - 1].end, text }]
+    };
+}
+
+// ============ TTS ============
+
+// One silent MPEG-1 Layer III frame: 32 kbps, 44.1 kHz, mono - 104 bytes, 1152 samples (~26 ms)
+const SILENT_FRAME = Buffer.concat([Buffer.from([0xff, 0xfb, 0x10, 0xc0]), Buffer.alloc(100)]);
+const FRAMES_PER_SECOND = 38;
+const SECONDS_PER_WORD = 0.35;
+const MAX_SECONDS = 15;
+
+const VOICES = [
+    { voice_id: 'mockIndianVoiceMale01', name: 'Mock Indian Male', labels: { accent: 'indian', gender: 'male' }, description: 'Offline mock voice', preview_url: null },
+    { voice_id: 'mockIndianVoiceFemale01', name: 'Mock Indian Female', labels: { accent: 'indian', gender: 'female' }, description: 'Offline mock voice', preview_url: null }
+];
+
+async function listVoices() {
+    return VOICES;
+}
+
+// Silence roughly as long as the text would take to say
+async function synthesize(text) {
+    const words = String(text || '').split(/\s+/).filter(Boolean).length;
+    const seconds = Math.min(MAX_SECONDS, Math.max(1, words * SECONDS_PER_WORD));
+    const frames = Math.ceil(seconds * FRAMES_PER_SECOND);
+    return Readable.from([Buffer.concat(Array(frames).fill(SILENT_FRAME))]);
+}
+
+module.exports = {
+    name: 'mock',
+    requiredEnv: [],
+    complete,
+    stream,
+    transcribe,
+    listVoices,
+    synthesize
+};
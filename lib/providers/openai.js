@@ -0,0 +1,170 @@
+// OpenAI - chat completions for the interviewer, report, answer scoring and DAF parsing,
+// and Whisper for speech to text
+
+const FormData = require('form-data');
+const fetch = require('node-fetch');
+
+// Model per task - CHAT_MODEL, REPORT_MODEL and DAF_MODEL override them
+const MODELS = {
+    question: 'ft:gpt-4o-mini-2024-07-18:mynd:upsc:ChK3ciZk', // Fine-tuned UPSC model
+    closing: 'ft:gpt-4o-mini-2024-07-18:mynd:upsc:ChK3ciZk',
+    report: 'gpt-4o',
+    scoring: 'gpt-4o',
+    classify: 'gpt-4o-mini',
+    daf: 'gpt-4o-mini'
+};
+
+const MODEL_ENV = {
+    question: 'CHAT_MODEL',
+    closing: 'CHAT_MODEL',
+    report: 'REPORT_MODEL',
+    scoring: 'REPORT_MODEL',
+    classify: 'CLASSIFY_MODEL',
+    daf: 'DAF_MODEL'
+};
+
+// Error prefix per task, so logs and clients see which call failed
+const TASK_LABELS = {
+    question: 'Chat',
+    closing: 'Chat',
+    report: 'Analysis',
+    scoring: 'Answer scoring',
+    classify: 'Answer classification',
+    daf: 'DAF parse'
+};
+
+// The fine-tuned interviewer only knows English boards; Hindi and bilingual
+// interviews ask their questions through MULTILINGUAL_CHAT_MODEL instead
+const MULTILINGUAL_CHAT_MODEL = 'gpt-4o';
+
+function modelFor(task, language = 'en') {
+    if (MODEL_ENV[task] === 'CHAT_MODEL' && language && language !== 'en') {
+        return process.env.MULTILINGUAL_CHAT_MODEL || MULTILINGUAL_CHAT_MODEL;
+    }
+    return process.env[MODEL_ENV[task]] || MODELS[task] || MODELS.question;
+}
+
+// ============ CHAT ============
+
+async function requestChat({ task, language, messages, temperature, maxTokens, presencePenalty, frequencyPenalty, json = false, timeoutMs }, stream) {
+    const body = {
+        model: modelFor(task, language),
+        messages,
+        temperature,
+        max_tokens: maxTokens
+    };
+    if (presencePenalty !== undefined) body.presence_penalty = presencePenalty;
+    if (frequencyPenalty !== undefined) body.frequency_penalty = frequencyPenalty;
+    if (json) body.response_format = { type: 'json_object' };
+    if (stream) {
+        body.stream = true;
+        // The last chunk then carries the token counts
+        body.stream_options = { include_usage: true };
+    }
+
+    const response = await fetch('https://api.openai.com/v1/chat/completions', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(body),
+        signal: timeoutMs ? AbortSignal.timeout(timeoutMs) : undefined
+    });
+
+    const label = TASK_LABELS[task] || 'Chat';
+    if (!response.ok) {
+        const error = await response.text();
+        console.error(`${label} API error:`, response.status, error);
+        throw new Error(`${label} API error: ${response.status}`);
+    }
+
+    return response;
+}
+
+function reportUsage(options, data) {
+    if (!options.onUsage || !data.usage) return;
+    options.onUsage({
+        model: data.model || modelFor(options.task, options.language),
+        promptTokens: data.usage.prompt_tokens || 0,
+        completionTokens: data.usage.completion_tokens || 0
+    });
+}
+
+// Returns the assistant message text
+async function complete(options) {
+    const response = await requestChat(options, false);
+    const data = await response.json();
+    reportUsage(options, data);
+    return data.choices[0].message.content;
+}
+
+// Yields the assistant message text as it is generated (server-sent "data:" lines)
+async function* stream(options) {
+    const response = await requestChat(options, true);
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of response.body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const trimmed = line.trim();
+            if (!trimmed.startsWith('data:')) continue;
+
+            const payload = trimmed.slice(5).trim();
+            if (payload === '[DONE]') return;
+
+            const data = JSON.parse(payload);
+            reportUsage(options, data);
+            const choice = (data.choices || [])[0];
+            if (choice && choice.delta && choice.delta.content) yield choice.delta.content;
+        }
+    }
+}
+
+// ============ WHISPER ============
+
+// Verbose transcription with word and segment timestamps: { text, duration, words, segments }.
+// Without a language Whisper detects it, which bilingual answers need.
+async function transcribe({ buffer, mimetype, prompt, language }) {
+    const formData = new FormData();
+    formData.append('file', buffer, {
+        filename: 'audio.webm',
+        contentType: mimetype
+    });
+    formData.append('model', 'whisper-1');
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'word');
+    formData.append('timestamp_granularities[]', 'segment');
+    if (prompt) formData.append('prompt', prompt);
+    if (language) formData.append('language', language);
+
+    const response = await fetch('https://api.openai.com/v1/audio/transcriptions', {
+        method: 'POST',
+        headers: {
+            'Authorization': `Bearer ${process.env.OPENAI_API_KEY}`,
+            ...formData.getHeaders()
+        },
+        body: formData
+    });
+
+    if (!response.ok) {
+        const error = await response.text();
+        console.error('STT API error:', response.status, error);
+        throw new Error(`STT API error: ${response.status}`);
+    }
+
+    return response.json();
+}
+
+module.exports = {
+    name: 'openai',
+    requiredEnv: ['OPENAI_API_KEY'],
+    modelFor,
+    complete,
+    stream,
+    transcribe
+};
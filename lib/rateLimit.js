@@ -0,0 +1,116 @@
+// Request rate limits - fixed one-minute windows per client IP, per account, and for login/sign-up
+// attempts per IP. Counters live in memory or in Redis (RATE_LIMIT_STORE); serverless instances
+// need Redis, or each one counts on its own.
+//
+//   hit(scope, key) -> { allowed, retryAfter } - retryAfter in seconds
+
+const { getRedisClient } = require('./redisClient');
+
+const WINDOW_SECONDS = 60;
+
+function envLimit(name, fallback) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Requests per minute per scope
+function rateLimits() {
+    return {
+        ip: envLimit('RATE_LIMIT_PER_IP', 120),
+        account: envLimit('RATE_LIMIT_PER_ACCOUNT', 60),
+        auth: envLimit('RATE_LIMIT_LOGIN', 10)
+    };
+}
+
+function currentWindow(now = Date.now()) {
+    const windowStart = Math.floor(now / 1000 / WINDOW_SECONDS) * WINDOW_SECONDS;
+    return { windowStart, retryAfter: windowStart + WINDOW_SECONDS - Math.floor(now / 1000) };
+}
+
+// ============ MEMORY ============
+
+function createMemoryLimiter() {
+    const counters = new Map();
+
+    return {
+        backend: 'memory',
+
+        async hit(scope, key) {
+            const { windowStart, retryAfter } = currentWindow();
+            const id = `${scope}:${key}`;
+            let counter = counters.get(id);
+            if (!counter || counter.windowStart !== windowStart) {
+                counter = { windowStart, count: 0 };
+                counters.set(id, counter);
+            }
+            counter.count++;
+
+            // Drop finished windows now and then so idle clients do not pile up
+            if (counters.size > 10000) {
+                counters.forEach((c, k) => { if (c.windowStart !== windowStart) counters.delete(k); });
+            }
+
+            return { allowed: counter.count <= rateLimits()[scope], retryAfter };
+        }
+    };
+}
+
+// ============ REDIS ============
+
+// rate:<scope>:<key>:<window start> counts requests and expires with its window
+function createRedisLimiter({ url } = {}) {
+    const getClient = () => getRedisClient(url);
+
+    return {
+        backend: 'redis',
+
+        async hit(scope, key) {
+            const client = await getClient();
+            const { windowStart, retryAfter } = currentWindow();
+            const redisKey = `rate:${scope}:${key}:${windowStart}`;
+            const count = await client.incr(redisKey);
+            if (count === 1) await client.expire(redisKey, WINDOW_SECONDS);
+            return { allowed: count <= rateLimits()[scope], retryAfter };
+        }
+    };
+}
+
+// ============ FACTORY ============
+
+const backends = {
+    memory: createMemoryLimiter,
+    redis: createRedisLimiter
+};
+
+// `backend` is the entry point's default; RATE_LIMIT_STORE overrides it
+function createRateLimiter({ backend, ...options } = {}) {
+    const name = process.env.RATE_LIMIT_STORE || backend || 'memory';
+    const create = backends[name];
+    if (!create) {
+        throw new Error(`Unknown rate limit store: ${name} (use memory or redis)`);
+    }
+
+    return create({ url: process.env.UPSC_REDIS_URL, ...options });
+}
+
+// ============ REQUESTS ============
+
+function clientIp(req) {
+    const forwarded = (req.headers && req.headers['x-forwarded-for']) || '';
+    return req.ip || forwarded.split(',')[0].trim() || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+// Count the request; when over the limit, answer 429 with Retry-After and return false
+async function allowRequest(limiter, scope, key, res) {
+    const { allowed, retryAfter } = await limiter.hit(scope, key);
+    if (allowed) return true;
+    res.setHeader('Retry-After', String(retryAfter));
+    res.status(429).json({ error: 'Too many requests - please wait a moment and try again', retryAfter });
+    return false;
+}
+
+module.exports = {
+    createRateLimiter,
+    clientIp,
+    allowRequest
+};
@@ -0,0 +1,21 @@
+// Shared lazy Redis connection - one client per URL, reconnect attempted on the next call after a failure
+
+const { createClient } = require('redis');
+
+const connections = new Map();
+
+function getRedisClient(url = process.env.UPSC_REDIS_URL) {
+    if (!connections.has(url)) {
+        const client = createClient({ url });
+        client.on('error', (err) => console.error('Redis error:', err));
+        connections.set(url, client.connect().then(() => client, (err) => {
+            connections.delete(url);
+            throw err;
+        }));
+    }
+    return connections.get(url);
+}
+
+module.exports = {
+    getRedisClient
+};
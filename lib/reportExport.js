@@ -0,0 +1,422 @@
+// Report export - a stored interview as a Markdown file or a PDF, for sharing with mentors.
+// Both formats come from one model of the report, so they always carry the same sections:
+// scores with bars, per-dimension feedback, composure under pressure, strengths, improvements,
+// detailed notes, question-by-question scores and the full transcript with timestamps.
+
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { temperamentOf, settingsFor } = require('./temperament');
+
+const EXPORT_FORMATS = ['pdf', 'md'];
+
+const DIMENSION_LABELS = {
+    content: 'Content Quality',
+    communication: 'Communication',
+    confidence: 'Confidence',
+    knowledge: 'Knowledge Depth',
+    etiquette: 'Interview Etiquette'
+};
+
+const NOTE_LABELS = {
+    responseLengths: 'Response Lengths',
+    relevance: 'Relevance',
+    depth: 'Depth',
+    structure: 'Structure'
+};
+
+// What the board did after each answer (lib/followUp.js)
+const FOLLOW_UP_ACTIONS = {
+    drill: 'drilled deeper',
+    challenge: 'challenged',
+    raise: 'raised the difficulty',
+    continue: 'carried on',
+    change: 'changed topic'
+};
+
+const LANGUAGE_LABELS = { en: 'English', hi: 'Hindi', bilingual: 'Bilingual (Hindi and English)' };
+
+// Candidates and boards are in India - dates read in IST
+const TIME_ZONE = 'Asia/Kolkata';
+
+// ============ REPORT MODEL ============
+
+function labelFor(key, labels) {
+    return labels[key] || key.charAt(0).toUpperCase() + key.slice(1);
+}
+
+function formatDate(iso) {
+    if (!iso) return '-';
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return '-';
+    return `${date.toLocaleString('en-IN', { timeZone: TIME_ZONE, dateStyle: 'medium', timeStyle: 'short' })} IST`;
+}
+
+// mm:ss since the interview started, so the transcript reads like a recording
+function elapsed(startedAt, timestamp) {
+    const ms = Date.parse(timestamp) - Date.parse(startedAt);
+    if (!Number.isFinite(ms) || ms < 0) return '--:--';
+    const seconds = Math.floor(ms / 1000);
+    return `${String(Math.floor(seconds / 60)).padStart(2, '0')}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// Composure score and feedback from the analysis, with the figures it was judged on;
+// null for interviews from before it was assessed
+function describeComposure(record) {
+    const assessed = (record.analysis || {}).composure;
+    const figures = (record.rawMetrics || {}).composure;
+    if (!assessed && !figures) return null;
+
+    return {
+        score: assessed ? Number(assessed.score) : NaN,
+        feedback: assessed ? assessed.feedback || '' : '',
+        figures: figures ? [
+            `Cut in on the board ${figures.interruptions} time(s)`,
+            `Challenged ${figures.challenges} time(s)${figures.crossExaminations > 0 ? `, ${figures.crossExaminations} of them deliberate cross-examination` : ''}`,
+            `Held ground in ${figures.heldGround} of ${figures.repliesAssessed} assessed replies to a challenge`
+        ] : []
+    };
+}
+
+function durationMinutes(record) {
+    const ms = Date.parse(record.completedAt) - Date.parse(record.startedAt);
+    return Number.isFinite(ms) && ms >= 0 ? Math.max(1, Math.round(ms / 60000)) : null;
+}
+
+// Everything both formats print, in print order
+function describeReport(record) {
+    const analysis = record.analysis || {};
+    const config = record.config || {};
+    const seats = new Map((record.panel || []).map(seat => [seat.id, seat]));
+    const board = (record.panel || []).length > 1;
+    const seatLabel = id => (seats.has(id) ? `${seats.get(id).name} (${seats.get(id).title})` : 'Interviewer');
+    const minutes = durationMinutes(record);
+
+    const scores = Object.entries(analysis.scores || {}).map(([key, data]) => ({
+        label: labelFor(key, DIMENSION_LABELS),
+        score: Number(data.score),
+        feedback: data.feedback || ''
+    }));
+    const valid = scores.filter(s => Number.isFinite(s.score));
+
+    return {
+        title: 'UPSC Mock Interview Report',
+        candidate: record.candidate,
+        details: [
+            ['Candidate', record.candidate],
+            ['Date', formatDate(record.completedAt)],
+            ['Format', `${config.mode === 'drill' ? 'Daily drill' : 'Full interview'}${config.format === 'board' ? ', full board' : ''}`],
+            ['Language', LANGUAGE_LABELS[config.language] || LANGUAGE_LABELS.en],
+            ['Board Temperament', settingsFor(temperamentOf(config)).label],
+            ['Answers', config.input === 'text' ? 'Typed' : 'Spoken'],
+            ['Duration', minutes ? `${minutes} min` : '-'],
+            ['Questions', String(record.questionCount || 0)],
+            ['Question Bank', record.catalogueVersion ? `Version ${record.catalogueVersion}` : 'Bundled'],
+            ['Average Score', valid.length > 0
+                ? `${Math.round((valid.reduce((sum, s) => sum + s.score, 0) / valid.length) * 10) / 10}/10`
+                : '-']
+        ],
+        scores,
+        composure: describeComposure(record),
+        overall: analysis.overall || '',
+        strengths: analysis.strengths || [],
+        improvements: analysis.improvements || [],
+        notes: Object.entries(analysis.detailedNotes || {}).map(([key, text]) => ({ label: labelFor(key, NOTE_LABELS), text })),
+        topics: Object.entries(analysis.topicScores || {}).map(([topic, score]) => ({ topic, score: Number(score) })),
+        answers: (record.answers || []).map(a => ({
+            heading: [`Q${a.index}`, a.topic, board && a.speaker ? seatLabel(a.speaker) : null].filter(Boolean).join(' · '),
+            question: a.question,
+            scores: a.scores
+                ? Object.entries(a.scores).map(([key, score]) => `${key} ${score !== null ? score : '-'}`).join(' · ')
+                : 'not scored',
+            wordCount: a.wordCount,
+            comment: a.comment || '',
+            factCheck: a.factCheck || '',
+            followUp: a.followUp && a.followUp.label
+                ? `board read ${a.followUp.label}, ${a.followUp.crossExamined ? 'cross-examined' : FOLLOW_UP_ACTIONS[a.followUp.action] || a.followUp.action}`
+                : ''
+        })),
+        transcript: (record.transcript || []).map(turn => ({
+            time: elapsed(record.startedAt, turn.timestamp),
+            speaker: turn.role === 'user' ? record.candidate : (board ? seatLabel(turn.speaker) : 'Interviewer'),
+            text: turn.content
+        }))
+    };
+}
+
+// ============ MARKDOWN ============
+
+// Ten-block bar for a 0-10 score
+function textBar(score) {
+    const filled = Math.max(0, Math.min(10, Math.round(score)));
+    return `${'█'.repeat(filled)}${'░'.repeat(10 - filled)}`;
+}
+
+function cell(text) {
+    return String(text).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+function buildMarkdown(record) {
+    const report = describeReport(record);
+    const lines = [`# ${report.title} - ${report.candidate}`, ''];
+
+    lines.push('| | |', '|---|---|');
+    report.details.forEach(([label, value]) => lines.push(`| **${label}** | ${cell(value)} |`));
+    lines.push('');
+
+    lines.push('## Scores', '', '| Dimension | Score | |', '|---|---|---|');
+    report.scores.forEach(s => lines.push(`| ${cell(s.label)} | ${Number.isFinite(s.score) ? s.score : '-'}/10 | \`${textBar(s.score || 0)}\` |`));
+    lines.push('');
+
+    lines.push('## Feedback by Dimension', '');
+    report.scores.forEach(s => lines.push(`### ${s.label} - ${Number.isFinite(s.score) ? s.score : '-'}/10`, '', s.feedback, ''));
+
+    if (report.composure) {
+        const { score, feedback, figures } = report.composure;
+        lines.push(`## Composure Under Pressure - ${Number.isFinite(score) ? score : '-'}/10`, '');
+        if (feedback) lines.push(feedback, '');
+        if (figures.length > 0) lines.push(...figures.map(f => `- ${f}`), '');
+    }
+
+    lines.push('## Overall Assessment', '', report.overall, '');
+
+    if (report.strengths.length > 0) {
+        lines.push('## Strengths', '', ...report.strengths.map(s => `- ${s}`), '');
+    }
+    lines.push('## Critical Areas for Improvement', '', ...report.improvements.map(i => `- ${i}`), '');
+
+    if (report.notes.length > 0) {
+        lines.push('## Detailed Notes', '');
+        report.notes.forEach(n => lines.push(`**${n.label}** - ${n.text}`, ''));
+    }
+
+    if (report.topics.length > 0) {
+        lines.push('## Topic Scores', '', '| Topic | Score | |', '|---|---|---|');
+        report.topics.forEach(t => lines.push(`| ${cell(t.topic)} | ${t.score}/10 | \`${textBar(t.score)}\` |`));
+        lines.push('');
+    }
+
+    if (report.answers.length > 0) {
+        lines.push('## Question by Question', '');
+        report.answers.forEach(a => {
+            lines.push(`### ${a.heading}`, '', `> ${a.question}`, '', `*${a.scores} · words ${a.wordCount}${a.followUp ? ` · ${a.followUp}` : ''}*`, '');
+            if (a.comment) lines.push(a.comment, '');
+            if (a.factCheck) lines.push(`**Fact check:** ${a.factCheck}`, '');
+        });
+    }
+
+    lines.push('## Transcript', '');
+    report.transcript.forEach(t => lines.push(`**[${t.time}] ${t.speaker}:** ${t.text}`, ''));
+
+    return lines.join('\n');
+}
+
+// ============ PDF ============
+
+const COLORS = {
+    text: '#1a1a1a',
+    muted: '#666666',
+    rule: '#dddddd',
+    barTrack: '#eeeeee',
+    barFill: '#333333'
+};
+
+// REPORT_FONT (and REPORT_BOLD_FONT) point at a TTF with Devanagari, for Hindi interviews.
+// Without one the PDF uses Helvetica, which has no Devanagari - those characters print as "?"
+// and the Markdown export keeps the original text.
+function loadFonts(doc) {
+    const regular = process.env.REPORT_FONT;
+    if (regular && fs.existsSync(regular)) {
+        doc.registerFont('body', regular);
+        const bold = process.env.REPORT_BOLD_FONT;
+        doc.registerFont('bold', bold && fs.existsSync(bold) ? bold : regular);
+        return { unicode: true };
+    }
+    doc.registerFont('body', 'Helvetica');
+    doc.registerFont('bold', 'Helvetica-Bold');
+    return { unicode: false };
+}
+
+// Characters Helvetica's WinAnsi encoding can print; anything else becomes "?"
+const WIN_ANSI_EXTRAS = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+
+function printable(text, fonts) {
+    const value = String(text === undefined || text === null ? '' : text);
+    if (fonts.unicode) return value;
+    return [...value].map(ch => (ch.charCodeAt(0) <= 0xff || WIN_ANSI_EXTRAS.includes(ch) ? ch : '?')).join('');
+}
+
+function ensureSpace(doc, height) {
+    if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+}
+
+function heading(doc, fonts, text) {
+    ensureSpace(doc, 60);
+    doc.moveDown(1);
+    doc.font('bold').fontSize(14).fillColor(COLORS.text).text(printable(text, fonts));
+    const y = doc.y + 2;
+    doc.moveTo(doc.page.margins.left, y).lineTo(doc.page.width - doc.page.margins.right, y).strokeColor(COLORS.rule).stroke();
+    doc.moveDown(0.6);
+}
+
+function paragraph(doc, fonts, text, options = {}) {
+    doc.font(options.bold ? 'bold' : 'body')
+        .fontSize(options.size || 10)
+        .fillColor(options.muted ? COLORS.muted : COLORS.text)
+        .text(printable(text, fonts), { lineGap: 2 });
+    doc.moveDown(options.gap === undefined ? 0.4 : options.gap);
+}
+
+function bullets(doc, fonts, items) {
+    items.forEach(item => {
+        doc.font('body').fontSize(10).fillColor(COLORS.text).text(`•  ${printable(item, fonts)}`, { indent: 0, lineGap: 2 });
+        doc.moveDown(0.3);
+    });
+}
+
+// Label, a 0-10 bar and the score on one row
+function scoreBar(doc, fonts, label, score) {
+    ensureSpace(doc, 22);
+    const left = doc.page.margins.left;
+    const y = doc.y;
+    const barX = left + 170;
+    const barWidth = 220;
+    const value = Number.isFinite(score) ? Math.max(0, Math.min(10, score)) : 0;
+
+    doc.font('body').fontSize(10).fillColor(COLORS.text).text(printable(label, fonts), left, y, { width: 160, lineBreak: false, ellipsis: true });
+    doc.rect(barX, y + 1, barWidth, 9).fillColor(COLORS.barTrack).fill();
+    if (value > 0) {
+        doc.rect(barX, y + 1, (barWidth * value) / 10, 9).fillColor(COLORS.barFill).fill();
+    }
+    doc.font('bold').fontSize(10).fillColor(COLORS.text)
+        .text(Number.isFinite(score) ? `${score}/10` : '-', barX + barWidth + 12, y, { lineBreak: false });
+
+    doc.x = left;
+    doc.y = y + 18;
+}
+
+// Resolves to the PDF as a Buffer
+function buildPdf(record) {
+    const report = describeReport(record);
+
+    return new Promise((resolve, reject) => {
+        const doc = new PDFDocument({
+            size: 'A4',
+            margin: 50,
+            info: { Title: `${report.title} - ${report.candidate}` }
+        });
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        doc.on('end', () => resolve(Buffer.concat(chunks)));
+        doc.on('error', reject);
+
+        const fonts = loadFonts(doc);
+
+        doc.font('bold').fontSize(20).fillColor(COLORS.text).text(printable(report.title, fonts));
+        doc.moveDown(0.6);
+        report.details.forEach(([label, value]) => {
+            doc.font('bold').fontSize(10).fillColor(COLORS.muted).text(`${label}: `, { continued: true })
+                .font('body').fillColor(COLORS.text).text(printable(value, fonts));
+        });
+        if (!fonts.unicode && LANGUAGE_LABELS[(record.config || {}).language] && record.config.language !== 'en') {
+            doc.moveDown(0.4);
+            paragraph(doc, fonts, 'Hindi text is shown as "?" in this PDF - the Markdown export has the full text.', { muted: true, size: 9 });
+        }
+
+        heading(doc, fonts, 'Scores');
+        report.scores.forEach(s => scoreBar(doc, fonts, s.label, s.score));
+
+        heading(doc, fonts, 'Feedback by Dimension');
+        report.scores.forEach(s => {
+            ensureSpace(doc, 40);
+            paragraph(doc, fonts, `${s.label} - ${Number.isFinite(s.score) ? s.score : '-'}/10`, { bold: true, gap: 0.2 });
+            paragraph(doc, fonts, s.feedback);
+        });
+
+        if (report.composure) {
+            heading(doc, fonts, 'Composure Under Pressure');
+            scoreBar(doc, fonts, 'Composure', report.composure.score);
+            if (report.composure.feedback) paragraph(doc, fonts, report.composure.feedback);
+            bullets(doc, fonts, report.composure.figures);
+        }
+
+        heading(doc, fonts, 'Overall Assessment');
+        paragraph(doc, fonts, report.overall);
+
+        if (report.strengths.length > 0) {
+            heading(doc, fonts, 'Strengths');
+            bullets(doc, fonts, report.strengths);
+        }
+
+        heading(doc, fonts, 'Critical Areas for Improvement');
+        bullets(doc, fonts, report.improvements);
+
+        if (report.notes.length > 0) {
+            heading(doc, fonts, 'Detailed Notes');
+            report.notes.forEach(n => {
+                ensureSpace(doc, 40);
+                paragraph(doc, fonts, n.label, { bold: true, gap: 0.2 });
+                paragraph(doc, fonts, n.text);
+            });
+        }
+
+        if (report.topics.length > 0) {
+            heading(doc, fonts, 'Topic Scores');
+            report.topics.forEach(t => scoreBar(doc, fonts, t.topic, t.score));
+        }
+
+        if (report.answers.length > 0) {
+            heading(doc, fonts, 'Question by Question');
+            report.answers.forEach(a => {
+                ensureSpace(doc, 60);
+                paragraph(doc, fonts, a.heading, { bold: true, gap: 0.2 });
+                paragraph(doc, fonts, a.question, { gap: 0.2 });
+                paragraph(doc, fonts, `${a.scores} · words ${a.wordCount}${a.followUp ? ` · ${a.followUp}` : ''}`, { muted: true, size: 9, gap: a.comment || a.factCheck ? 0.2 : 0.6 });
+                if (a.comment) paragraph(doc, fonts, a.comment, { gap: a.factCheck ? 0.2 : 0.6 });
+                if (a.factCheck) paragraph(doc, fonts, `Fact check: ${a.factCheck}`, { bold: true, gap: 0.6 });
+            });
+        }
+
+        heading(doc, fonts, 'Transcript');
+        report.transcript.forEach(t => {
+            ensureSpace(doc, 30);
+            doc.font('bold').fontSize(10).fillColor(COLORS.muted).text(`[${t.time}] `, { continued: true })
+                .fillColor(COLORS.text).text(`${printable(t.speaker, fonts)}: `, { continued: true })
+                .font('body').text(printable(t.text, fonts), { lineGap: 2 });
+            doc.moveDown(0.4);
+        });
+
+        doc.end();
+    });
+}
+
+// ============ EXPORT ============
+
+function exportFilename(record, format) {
+    const date = String(record.completedAt || '').slice(0, 10) || 'interview';
+    return `upsc-interview-${record.candidateId}-${date}.${format}`;
+}
+
+// { body, contentType, filename } for the route to send as a download
+async function exportReport(record, format) {
+    if (format === 'md') {
+        return {
+            body: buildMarkdown(record),
+            contentType: 'text/markdown; charset=utf-8',
+            filename: exportFilename(record, 'md')
+        };
+    }
+    return {
+        body: await buildPdf(record),
+        contentType: 'application/pdf',
+        filename: exportFilename(record, 'pdf')
+    };
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    buildMarkdown,
+    buildPdf,
+    exportReport
+};
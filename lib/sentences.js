@@ -0,0 +1,73 @@
+// Sentence splitting for streamed replies - text arrives token by token and each
+// complete sentence is handed on (to TTS) as soon as it ends
+
+// Titles and short forms whose full stop does not end a sentence
+const ABBREVIATIONS = new Set([
+    'dr', 'mr', 'mrs', 'ms', 'prof', 'shri', 'smt', 'sh', 'lt', 'gen', 'col', 'maj', 'capt', 'brig',
+    'retd', 'st', 'no', 'nos', 'vs', 'etc', 'e.g', 'i.e', 'govt', 'dept', 'approx'
+]);
+
+// Very short sentences ("Yes.") are joined to the next one - one clip per word sounds choppy
+const MIN_SENTENCE_LENGTH = 12;
+
+// A terminator (including the Devanagari danda), any closing quotes or brackets, then whitespace -
+// the whitespace shows the sentence really ended
+const SENTENCE_END = /[.!?।॥]+["'’”)\]]*\s+/g;
+
+function endsWithAbbreviation(text) {
+    const match = text.match(/(\S+)\.["'’”)\]]*\s*$/);
+    if (!match) return false;
+
+    const word = match[1].replace(/^["'‘“(\[]+/, '').toLowerCase();
+    // Single letters are initials ("A. P. J. Abdul Kalam")
+    return ABBREVIATIONS.has(word) || /^[a-z]$/.test(word);
+}
+
+// push(text) returns the sentences completed by this chunk; flush() returns whatever is left
+function createSentenceSplitter({ minLength = MIN_SENTENCE_LENGTH } = {}) {
+    let buffer = '';
+
+    function drain(final) {
+        const sentences = [];
+        let start = 0;
+        let match;
+
+        SENTENCE_END.lastIndex = 0;
+        while ((match = SENTENCE_END.exec(buffer)) !== null) {
+            const end = match.index + match[0].length;
+            const sentence = buffer.slice(start, end).trim();
+            if (sentence.length < minLength || endsWithAbbreviation(sentence)) continue;
+
+            sentences.push(sentence);
+            start = end;
+        }
+
+        buffer = buffer.slice(start);
+        if (final && buffer.trim()) {
+            sentences.push(buffer.trim());
+            buffer = '';
+        }
+        return sentences;
+    }
+
+    return {
+        push(text) {
+            buffer += text;
+            return drain(false);
+        },
+
+        flush() {
+            return drain(true);
+        }
+    };
+}
+
+function splitSentences(text) {
+    const splitter = createSentenceSplitter();
+    return [...splitter.push(text), ...splitter.flush()];
+}
+
+module.exports = {
+    createSentenceSplitter,
+    splitSentences
+};
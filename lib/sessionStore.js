@@ -0,0 +1,188 @@
+// Session store - one async interface (get / set / delete) over memory, Redis and JSON-file backends
+// Backend is chosen by SESSION_STORE; failures throw instead of silently dropping a session
+
+const fs = require('fs');
+const path = require('path');
+const { getRedisClient } = require('./redisClient');
+
+const DEFAULT_TTL_SECONDS = 3600;
+const DEFAULT_MAX_ENTRIES = 500;
+const DEFAULT_FILE_DIR = path.join(__dirname, '..', '.sessions');
+
+function storeError(operation, sessionId, error) {
+    const wrapped = new Error(`Session store ${operation} failed for ${sessionId}: ${error.message}`);
+    wrapped.cause = error;
+    return wrapped;
+}
+
+// ============ MEMORY ============
+
+// Map keeps insertion order, so re-inserting on access gives LRU eviction for free
+function createMemoryStore({ ttlSeconds = DEFAULT_TTL_SECONDS, maxEntries = DEFAULT_MAX_ENTRIES } = {}) {
+    const entries = new Map();
+
+    return {
+        backend: 'memory',
+
+        async get(sessionId) {
+            const entry = entries.get(sessionId);
+            if (!entry) return null;
+
+            entries.delete(sessionId);
+            if (entry.expiresAt <= Date.now()) return null;
+
+            entries.set(sessionId, entry);
+            // Hand out a copy so callers must set() to persist, same as the other backends
+            return JSON.parse(entry.json);
+        },
+
+        async set(sessionId, data) {
+            entries.delete(sessionId);
+            entries.set(sessionId, {
+                json: JSON.stringify(data),
+                expiresAt: Date.now() + ttlSeconds * 1000
+            });
+
+            while (entries.size > maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+        },
+
+        async delete(sessionId) {
+            entries.delete(sessionId);
+        }
+    };
+}
+
+// ============ REDIS ============
+
+function createRedisStore({ url, ttlSeconds = DEFAULT_TTL_SECONDS, prefix = 'session:' } = {}) {
+    const getClient = () => getRedisClient(url);
+
+    return {
+        backend: 'redis',
+
+        async get(sessionId) {
+            try {
+                const client = await getClient();
+                const data = await client.get(prefix + sessionId);
+                return data ? JSON.parse(data) : null;
+            } catch (error) {
+                throw storeError('get', sessionId, error);
+            }
+        },
+
+        async set(sessionId, data) {
+            try {
+                const client = await getClient();
+                await client.setEx(prefix + sessionId, ttlSeconds, JSON.stringify(data));
+            } catch (error) {
+                throw storeError('set', sessionId, error);
+            }
+        },
+
+        async delete(sessionId) {
+            try {
+                const client = await getClient();
+                await client.del(prefix + sessionId);
+            } catch (error) {
+                throw storeError('delete', sessionId, error);
+            }
+        }
+    };
+}
+
+// ============ JSON FILE ============
+
+// One file per session, so a laptop run survives restarts without Redis
+function createFileStore({ dir = DEFAULT_FILE_DIR, ttlSeconds = DEFAULT_TTL_SECONDS } = {}) {
+    // Session IDs become file names, so anything but word characters is rejected
+    function isValidId(sessionId) {
+        return /^[\w-]+$/.test(String(sessionId));
+    }
+
+    function fileFor(sessionId) {
+        if (!isValidId(sessionId)) {
+            throw new Error('Invalid session ID');
+        }
+        return path.join(dir, `${sessionId}.json`);
+    }
+
+    return {
+        backend: 'file',
+
+        async get(sessionId) {
+            if (!isValidId(sessionId)) return null;
+
+            try {
+                const file = fileFor(sessionId);
+                const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+                if (entry.expiresAt <= Date.now()) {
+                    await fs.promises.rm(file, { force: true });
+                    return null;
+                }
+                return entry.data;
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw storeError('get', sessionId, error);
+            }
+        },
+
+        async set(sessionId, data) {
+            try {
+                const file = fileFor(sessionId);
+                const tmpFile = `${file}.${process.pid}.tmp`;
+                await fs.promises.mkdir(dir, { recursive: true });
+                await fs.promises.writeFile(tmpFile, JSON.stringify({
+                    expiresAt: Date.now() + ttlSeconds * 1000,
+                    data
+                }));
+                await fs.promises.rename(tmpFile, file); // atomic replace
+            } catch (error) {
+                throw storeError('set', sessionId, error);
+            }
+        },
+
+        async delete(sessionId) {
+            try {
+                await fs.promises.rm(fileFor(sessionId), { force: true });
+            } catch (error) {
+                throw storeError('delete', sessionId, error);
+            }
+        }
+    };
+}
+
+// ============ FACTORY ============
+
+const backends = {
+    memory: createMemoryStore,
+    redis: createRedisStore,
+    file: createFileStore
+};
+
+// `backend` is the entry point's default; SESSION_STORE overrides it.
+// Other options fall back to SESSION_TTL_SECONDS, SESSION_MAX_ENTRIES, SESSION_FILE_DIR and UPSC_REDIS_URL.
+function createSessionStore({ backend, ...options } = {}) {
+    const name = process.env.SESSION_STORE || backend || 'memory';
+    const create = backends[name];
+    if (!create) {
+        throw new Error(`Unknown session store: ${name} (use memory, redis or file)`);
+    }
+
+    const env = process.env;
+    return create({
+        ttlSeconds: Number(env.SESSION_TTL_SECONDS) || DEFAULT_TTL_SECONDS,
+        maxEntries: Number(env.SESSION_MAX_ENTRIES) || DEFAULT_MAX_ENTRIES,
+        dir: env.SESSION_FILE_DIR || DEFAULT_FILE_DIR,
+        url: env.UPSC_REDIS_URL,
+        ...options
+    });
+}
+
+module.exports = {
+    createSessionStore,
+    createMemoryStore,
+    createRedisStore,
+    createFileStore
+};
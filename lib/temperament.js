@@ -0,0 +1,117 @@
+// Board temperament - how hard the board leans on the candidate. One place for everything that
+// changes with it: the interviewers' questioning style, how often they cross-examine a sound answer
+// (lib/followUp.js), the TTS delivery defaults and how the report reads composure.
+//
+//   crossExamineEvery  every Nth answer that needs no follow-up is contradicted anyway (0: never)
+//   maxFollowUps       follow-ups in a row before the board lets a line go and changes topic
+//   voice              delivery defaults - a candidate's own voice settings still win
+
+const TEMPERAMENTS = {
+    friendly: {
+        label: 'Friendly',
+        description: 'warm and encouraging; puts the candidate at ease and rarely presses',
+        style: [
+            'Be warm and encouraging - acknowledge a good point briefly before the next question',
+            'Rephrase a question the candidate struggles with instead of pressing',
+            'Probe gently; never contradict the candidate for effect'
+        ],
+        crossExamineEvery: 0,
+        maxFollowUps: 1,
+        voice: { stability: 0.5, style: 0.8, speed: 0.95 }
+    },
+    neutral: {
+        label: 'Neutral',
+        description: 'formal, calm and slightly strict',
+        style: [],
+        crossExamineEvery: 0,
+        maxFollowUps: 2,
+        voice: {}
+    },
+    adversarial: {
+        label: 'Adversarial',
+        description: 'sceptical and combative; contradicts the candidate to test composure',
+        style: [
+            'Be sceptical and cold - never acknowledge a good answer',
+            'Contradict the candidate, question their premises and cite counter-examples',
+            'Interrupt a rambling answer with a pointed "Come to the point"',
+            'Stay civil - the pressure is on the argument, never personal'
+        ],
+        crossExamineEvery: 2,
+        maxFollowUps: 3,
+        voice: { stability: 0.8, style: 0.5, speed: 1.05 }
+    },
+    'rapid-fire': {
+        label: 'Rapid-fire',
+        description: 'fast and clipped; short questions in quick succession across topics',
+        style: [
+            'Ask very short questions - one sentence, ideally under 15 words',
+            'No preamble, no acknowledgement - go straight to the next question',
+            'Switch angles quickly to test breadth and presence of mind'
+        ],
+        crossExamineEvery: 3,
+        maxFollowUps: 1,
+        voice: { stability: 0.75, style: 0.4, speed: 1.15 }
+    }
+};
+
+const DEFAULT_TEMPERAMENT = 'neutral';
+
+function temperamentOf(config) {
+    return (config && TEMPERAMENTS[config.temperament]) ? config.temperament : DEFAULT_TEMPERAMENT;
+}
+
+function settingsFor(temperament = DEFAULT_TEMPERAMENT) {
+    return TEMPERAMENTS[temperament] || TEMPERAMENTS[DEFAULT_TEMPERAMENT];
+}
+
+// Appended to the interviewer prompt; a neutral board needs nothing extra
+function interviewerInstruction(temperament = DEFAULT_TEMPERAMENT) {
+    const settings = settingsFor(temperament);
+    if (settings.style.length === 0) return '';
+    return `BOARD TEMPERAMENT: ${settings.label} - ${settings.description}
+(where this differs from YOUR STYLE, this wins)
+${settings.style.map(line => `- ${line}`).join('\n')}`;
+}
+
+// ============ COMPOSURE ============
+
+// How the candidate fared when pressed, from the follow-up trail: every challenge (including
+// deliberate cross-examinations) and how the answer that followed it was classified
+function summarizeComposure(session) {
+    const trail = session.conversationState.followUps || [];
+    const pressed = trail.filter(d => d.action === 'challenge');
+    const replies = pressed
+        .map(d => trail.find(next => next.questionIndex === d.questionIndex + 1))
+        .filter(d => d && d.label);
+
+    return {
+        temperament: temperamentOf(session.config),
+        interruptions: session.metrics.interruptions || 0,
+        challenges: pressed.length,
+        crossExaminations: pressed.filter(d => d.crossExamined).length,
+        repliesAssessed: replies.length,
+        heldGround: replies.filter(d => d.label === 'strong').length
+    };
+}
+
+// Report prompt section - the evaluator scores composure from these figures and the transcript
+function describeComposure(summary) {
+    const settings = settingsFor(summary.temperament);
+    return `Composure Under Pressure (measured - use these, do not guess):
+- Board temperament: ${settings.label} (${settings.description})
+- Times the candidate cut in while the interviewer was speaking: ${summary.interruptions}
+- Times the board challenged an answer: ${summary.challenges}${summary.crossExaminations > 0 ? ` (${summary.crossExaminations} deliberate cross-examination(s) of a sound answer)` : ''}
+- Replies to a challenge that still held up (specific and reasoned): ${summary.heldGround} of ${summary.repliesAssessed} assessed
+- Judge whether the candidate stayed calm, held a reasoned position without turning defensive, and conceded gracefully when actually wrong.
+  Cutting in on the board is a composure lapse - weigh it more heavily under a friendly or neutral board than under an adversarial or rapid-fire one.`;
+}
+
+module.exports = {
+    TEMPERAMENTS,
+    DEFAULT_TEMPERAMENT,
+    temperamentOf,
+    settingsFor,
+    interviewerInstruction,
+    summarizeComposure,
+    describeComposure
+};
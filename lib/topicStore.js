@@ -0,0 +1,183 @@
+// Topic catalogue versions - every published snapshot of the catalogue is kept, so sessions and
+// reports can refer back to the version they used. Same backend choice as the other stores:
+// memory, file or redis (TOPIC_STORE).
+//
+//   latest(), get(version) -> snapshot or null
+//   list() -> [{ version, updatedAt, updatedBy, change }], newest first
+//   publish(snapshot) -> false when that version number has already been published
+// snapshot: { version, updatedAt, updatedBy, change, topics } - topic shape in lib/topics.js
+
+const fs = require('fs');
+const path = require('path');
+const { getRedisClient } = require('./redisClient');
+
+const DEFAULT_TOPIC_DIR = path.join(__dirname, '..', '.topics');
+
+function summarize(snapshot) {
+    const { version, updatedAt, updatedBy, change } = snapshot;
+    return { version, updatedAt, updatedBy, change };
+}
+
+function isVersion(version) {
+    return Number.isInteger(Number(version)) && Number(version) > 0;
+}
+
+// ============ MEMORY ============
+
+function createMemoryTopics() {
+    const versions = new Map();
+
+    return {
+        backend: 'memory',
+
+        async latest() {
+            return versions.size > 0 ? this.get(Math.max(...versions.keys())) : null;
+        },
+
+        async get(version) {
+            const json = versions.get(Number(version));
+            return json ? JSON.parse(json) : null;
+        },
+
+        async list() {
+            return [...versions.values()].map(json => summarize(JSON.parse(json))).sort((a, b) => b.version - a.version);
+        },
+
+        async publish(snapshot) {
+            if (versions.has(snapshot.version)) return false;
+            versions.set(snapshot.version, JSON.stringify(snapshot));
+            return true;
+        }
+    };
+}
+
+// ============ JSON FILE ============
+
+// One file per version: v<version>.json
+function createFileTopics({ dir = DEFAULT_TOPIC_DIR } = {}) {
+    const versionFile = version => path.join(dir, `v${version}.json`);
+
+    async function versionNumbers() {
+        try {
+            return (await fs.promises.readdir(dir))
+                .map(f => f.match(/^v(\d+)\.json$/))
+                .filter(Boolean)
+                .map(m => Number(m[1]));
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+    }
+
+    return {
+        backend: 'file',
+
+        async latest() {
+            const numbers = await versionNumbers();
+            return numbers.length > 0 ? this.get(Math.max(...numbers)) : null;
+        },
+
+        async get(version) {
+            if (!isVersion(version)) return null;
+            try {
+                return JSON.parse(await fs.promises.readFile(versionFile(Number(version)), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async list() {
+            const snapshots = await Promise.all((await versionNumbers()).map(n => this.get(n)));
+            return snapshots.filter(Boolean).map(summarize).sort((a, b) => b.version - a.version);
+        },
+
+        // 'wx' fails if the file exists, so two edits cannot both publish the same version
+        async publish(snapshot) {
+            await fs.promises.mkdir(dir, { recursive: true });
+            try {
+                await fs.promises.writeFile(versionFile(snapshot.version), JSON.stringify(snapshot, null, 2), { flag: 'wx' });
+                return true;
+            } catch (error) {
+                if (error.code === 'EEXIST') return false;
+                throw error;
+            }
+        }
+    };
+}
+
+// ============ REDIS ============
+
+// Sets topics:latest only when it moves forward - two publishes finishing out of order
+// must not leave the older version as the latest
+const RAISE_LATEST = `
+local current = tonumber(redis.call('GET', KEYS[1]) or '0')
+if tonumber(ARGV[1]) > current then
+    redis.call('SET', KEYS[1], ARGV[1])
+end
+return 1`;
+
+// topics:version:<n> holds each snapshot, topics:latest the newest version number,
+// topics:versions a hash of version -> summary for the history list
+function createRedisTopics({ url } = {}) {
+    const getClient = () => getRedisClient(url);
+
+    return {
+        backend: 'redis',
+
+        async latest() {
+            const client = await getClient();
+            const version = await client.get('topics:latest');
+            return version ? this.get(version) : null;
+        },
+
+        async get(version) {
+            if (!isVersion(version)) return null;
+            const client = await getClient();
+            const data = await client.get(`topics:version:${Number(version)}`);
+            return data ? JSON.parse(data) : null;
+        },
+
+        async list() {
+            const client = await getClient();
+            const values = await client.hVals('topics:versions');
+            return values.map(v => JSON.parse(v)).sort((a, b) => b.version - a.version);
+        },
+
+        async publish(snapshot) {
+            const client = await getClient();
+            const claimed = await client.set(`topics:version:${snapshot.version}`, JSON.stringify(snapshot), { NX: true });
+            if (!claimed) return false;
+            await client.hSet('topics:versions', String(snapshot.version), JSON.stringify(summarize(snapshot)));
+            await client.eval(RAISE_LATEST, { keys: ['topics:latest'], arguments: [String(snapshot.version)] });
+            return true;
+        }
+    };
+}
+
+// ============ FACTORY ============
+
+const backends = {
+    memory: createMemoryTopics,
+    file: createFileTopics,
+    redis: createRedisTopics
+};
+
+// `backend` is the entry point's default; TOPIC_STORE overrides it
+function createTopicStore({ backend, ...options } = {}) {
+    const name = process.env.TOPIC_STORE || backend || 'file';
+    const create = backends[name];
+    if (!create) {
+        throw new Error(`Unknown topic store: ${name} (use memory, file or redis)`);
+    }
+
+    return create({
+        dir: process.env.TOPIC_DIR || DEFAULT_TOPIC_DIR,
+        url: process.env.UPSC_REDIS_URL,
+        ...options
+    });
+}
+
+module.exports = {
+    createTopicStore
+};
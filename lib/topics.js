@@ -0,0 +1,282 @@
+// Topic catalogue - the interview topics, their sample questions and guidance, kept as data so they
+// can be edited without a redeploy. The bundled catalogue is data/topics.json (or TOPICS_PATH); once
+// an admin edits it, every change is published as a new numbered version in the topic store
+// (lib/topicStore.js). Sessions keep the version they started with, so a report can always be
+// read against the questions the board actually had.
+//
+// topic: { id, name, tags, services, optionalSubjects, difficulty, dafQuestions, currentAffairsQuestions, instruction }
+//   tags              current affairs tags (lib/currentAffairs.js) briefed alongside the topic
+//   services          service codes the topic is for (IAS, IFS, IPS...) - empty for every candidate
+//   optionalSubjects  optional subjects the topic is for - empty for every candidate
+//   difficulty        'foundation', 'standard' or 'advanced'
+//
+// Text may use DAF placeholders, filled in from the candidate profile: {{service}}, {{serviceChoice}},
+// {{serviceFocus}}, {{optionalSubject}}, {{homeState}}, {{homeDistrict}}, {{hobbies}}, {{achievements}},
+// {{background}}, {{institution}}, {{workExperience}}. A question whose placeholder is empty for the
+// candidate (no background, no work experience) is left out.
+//
+// Topics are walked in catalogue order by the engine.
+
+const fs = require('fs');
+const path = require('path');
+const profiles = require('./profile');
+
+const DEFAULT_CATALOGUE = require('../data/topics.json');
+
+const DIFFICULTIES = ['foundation', 'standard', 'advanced'];
+const PLACEHOLDERS = [
+    'service', 'serviceChoice', 'serviceFocus', 'optionalSubject', 'homeState', 'homeDistrict',
+    'hobbies', 'achievements', 'background', 'institution', 'workExperience'
+];
+
+const MAX_TEXT_LENGTH = 300;
+const MAX_INSTRUCTION_LENGTH = 1000;
+const MAX_QUESTIONS = 20;
+const MAX_TAGS = 12;
+
+// Concurrent edits: a change that loses the race to publish is re-applied to the newer version
+const PUBLISH_ATTEMPTS = 3;
+
+// ============ VALIDATION ============
+
+function cleanText(value, maxLength = MAX_TEXT_LENGTH) {
+    return typeof value === 'string' ? value.trim().replace(/\s+/g, ' ').slice(0, maxLength) : '';
+}
+
+function cleanList(value, max) {
+    return Array.isArray(value) ? value.map(v => cleanText(v)).filter(Boolean).slice(0, max) : [];
+}
+
+function slugify(text) {
+    return text.toLowerCase().replace(/\{\{\w+\}\}/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+// Tags match case-insensitively; placeholders inside them keep their names
+function lowerCaseText(text) {
+    return text.split(/(\{\{\w+\}\})/).map((part, i) => (i % 2 === 1 ? part : part.toLowerCase())).join('');
+}
+
+function unknownPlaceholders(texts) {
+    const used = texts.flatMap(text => [...text.matchAll(/\{\{(\w+)\}\}/g)].map(m => m[1]));
+    return [...new Set(used.filter(name => !PLACEHOLDERS.includes(name)))];
+}
+
+// Same shape as validateProfile: { topic, errors }, topic null when invalid.
+// The ID comes from the name when none is given.
+function validateTopic(input) {
+    const errors = [];
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { topic: null, errors: ['topic must be an object'] };
+    }
+
+    const name = cleanText(input.name);
+    const id = cleanText(input.id) || slugify(name);
+    const difficulty = input.difficulty === undefined ? 'standard' : input.difficulty;
+    const topic = {
+        id,
+        name,
+        tags: cleanList(input.tags, MAX_TAGS).map(lowerCaseText),
+        services: cleanList(input.services, MAX_TAGS),
+        optionalSubjects: cleanList(input.optionalSubjects, MAX_TAGS),
+        difficulty,
+        dafQuestions: cleanList(input.dafQuestions, MAX_QUESTIONS),
+        currentAffairsQuestions: cleanList(input.currentAffairsQuestions, MAX_QUESTIONS),
+        instruction: cleanText(input.instruction, MAX_INSTRUCTION_LENGTH)
+    };
+
+    if (!name) errors.push('name is required');
+    if (!/^[a-z0-9-]+$/.test(id)) errors.push('id must use lowercase letters, digits and hyphens');
+    if (!DIFFICULTIES.includes(difficulty)) errors.push(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    if (topic.dafQuestions.length + topic.currentAffairsQuestions.length === 0) {
+        errors.push('a topic needs at least one sample question');
+    }
+    const unknown = unknownPlaceholders([name, ...topic.tags, ...topic.dafQuestions, ...topic.currentAffairsQuestions, topic.instruction]);
+    if (unknown.length > 0) {
+        errors.push(`unknown placeholders: ${unknown.map(p => `{{${p}}}`).join(', ')} (use ${PLACEHOLDERS.map(p => `{{${p}}}`).join(', ')})`);
+    }
+
+    return errors.length > 0 ? { topic: null, errors } : { topic, errors };
+}
+
+// The bundled catalogue, checked once per process - a bad topic stops startup, like a bad board
+let cachedDefault = null;
+
+function defaultTopics() {
+    if (cachedDefault) return cachedDefault;
+
+    let source = DEFAULT_CATALOGUE;
+    if (process.env.TOPICS_PATH) {
+        source = JSON.parse(fs.readFileSync(path.resolve(process.env.TOPICS_PATH), 'utf8'));
+    }
+
+    cachedDefault = (source.topics || []).map(input => {
+        const { topic, errors } = validateTopic(input);
+        if (!topic) {
+            throw new Error(`Topic catalogue entry ${input && (input.id || input.name)} is invalid: ${errors.join(', ')}`);
+        }
+        return topic;
+    });
+    if (cachedDefault.length === 0) {
+        throw new Error('Topic catalogue has no topics');
+    }
+    return cachedDefault;
+}
+
+// ============ RENDERING ============
+
+// Placeholder values for one candidate; empty string when the DAF has nothing to fill it with
+function placeholderValues(profile) {
+    const service = profiles.topService(profile);
+    const secondService = profile.servicePreferences[1];
+    const firstEducation = profile.education[0] || {};
+
+    return {
+        service,
+        serviceChoice: secondService ? `${service} over ${secondService}` : service,
+        serviceFocus: profiles.serviceFocus(service),
+        optionalSubject: profile.optionalSubject,
+        homeState: profile.homeState,
+        homeDistrict: profiles.homeDistrict(profile),
+        hobbies: profiles.formatList(profile.hobbies),
+        achievements: profiles.formatList(profile.achievements),
+        background: profile.background || '',
+        institution: firstEducation.institution || firstEducation.degree || '',
+        workExperience: profile.workExperience.length > 0 ? profiles.formatWorkExperience(profile) : ''
+    };
+}
+
+// null when the text uses a placeholder the candidate has no value for
+function fill(text, values) {
+    let missing = false;
+    const filled = text.replace(/\{\{(\w+)\}\}/g, (match, name) => {
+        const value = values[name];
+        if (!value) missing = true;
+        return value || '';
+    });
+    return missing ? null : filled;
+}
+
+function questionBlock(heading, questions, values) {
+    const lines = questions.map(q => fill(q, values)).filter(Boolean);
+    return lines.length > 0 ? `${heading}\n${lines.map(q => `- ${q}`).join('\n')}` : null;
+}
+
+function guidanceFor(topic, values) {
+    return [
+        questionBlock('DAF-based questions:', topic.dafQuestions, values),
+        questionBlock('Current affairs questions:', topic.currentAffairsQuestions, values),
+        topic.instruction ? fill(topic.instruction, values) || topic.instruction.replace(/\{\{\w+\}\}/g, '') : null
+    ].filter(Boolean).join('\n\n');
+}
+
+function appliesTo(topic, profile) {
+    const services = (topic.services || []).map(s => s.toLowerCase());
+    const subjects = (topic.optionalSubjects || []).map(s => s.toLowerCase());
+    const serviceMatch = services.length === 0 || profile.servicePreferences.some(s => services.includes(s.toLowerCase()));
+    const subjectMatch = subjects.length === 0 || subjects.includes(String(profile.optionalSubject || '').toLowerCase());
+    return serviceMatch && subjectMatch;
+}
+
+// The topics for one candidate, as the engine uses them: { id, name, tags, difficulty, guidance }.
+// Topics tagged for other services or optional subjects are left out - unless that leaves none.
+function buildTopics(profile, catalogueTopics = defaultTopics()) {
+    const values = placeholderValues(profile);
+    const applicable = catalogueTopics.filter(topic => appliesTo(topic, profile));
+
+    return (applicable.length > 0 ? applicable : catalogueTopics).map(topic => ({
+        id: topic.id,
+        name: fill(topic.name, values) || topic.name.replace(/\{\{\w+\}\}/g, '').trim(),
+        tags: topic.tags.map(tag => fill(tag, values)).filter(Boolean).map(tag => tag.toLowerCase()),
+        difficulty: topic.difficulty,
+        guidance: guidanceFor(topic, values)
+    }));
+}
+
+// The session's topics - from the catalogue version it started with; sessions from before
+// the catalogue was editable use the bundled one
+function sessionTopics(session) {
+    return buildTopics(session.profile, session.catalogue ? session.catalogue.topics : undefined);
+}
+
+// What a new session keeps: the version number and that version's topics
+function catalogueForSession(snapshot) {
+    return { version: snapshot.version, topics: snapshot.topics };
+}
+
+// ============ EDITING ============
+
+// Versioned CRUD over a topic store. Every change publishes a new snapshot:
+// { version, updatedAt, updatedBy, change, topics }. An empty store starts at version 1
+// with the bundled catalogue.
+function createCatalogue(store) {
+    async function current() {
+        const latest = await store.latest();
+        if (latest) return latest;
+
+        const seed = { version: 1, updatedAt: new Date().toISOString(), updatedBy: null, change: 'Bundled catalogue', topics: defaultTopics() };
+        if (await store.publish(seed)) return seed;
+        return store.latest(); // another instance seeded it first
+    }
+
+    // apply(topics) returns the new topic list, or null to leave the catalogue alone
+    async function change(account, describe, apply) {
+        for (let attempt = 0; attempt < PUBLISH_ATTEMPTS; attempt++) {
+            const base = await current();
+            const topics = apply(base.topics);
+            if (!topics) return null;
+
+            const snapshot = {
+                version: base.version + 1,
+                updatedAt: new Date().toISOString(),
+                updatedBy: account ? account.email : null,
+                change: describe,
+                topics
+            };
+            if (await store.publish(snapshot)) return snapshot;
+        }
+        throw new Error('Topic catalogue is being edited elsewhere - please try again');
+    }
+
+    return {
+        current,
+
+        version(number) {
+            return store.get(number);
+        },
+
+        versions() {
+            return store.list();
+        },
+
+        // null when a topic with the ID already exists
+        create(topic, account) {
+            return change(account, `Added ${topic.id}`, topics => (
+                topics.some(t => t.id === topic.id) ? null : [...topics, topic]
+            ));
+        },
+
+        // null when there is no such topic; the ID in the URL wins over the one in the body
+        update(id, topic, account) {
+            return change(account, `Edited ${id}`, topics => (
+                topics.some(t => t.id === id) ? topics.map(t => (t.id === id ? { ...topic, id } : t)) : null
+            ));
+        },
+
+        // null when there is no such topic, or it is the last one
+        remove(id, account) {
+            return change(account, `Removed ${id}`, topics => (
+                topics.some(t => t.id === id) && topics.length > 1 ? topics.filter(t => t.id !== id) : null
+            ));
+        }
+    };
+}
+
+module.exports = {
+    DIFFICULTIES,
+    PLACEHOLDERS,
+    validateTopic,
+    buildTopics,
+    sessionTopics,
+    catalogueForSession,
+    createCatalogue
+};
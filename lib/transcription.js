@@ -0,0 +1,158 @@
+// Speech to text - verbose transcription with word timestamps from the STT provider,
+// and the hesitation analysis built on them (long gaps, restarts, false starts)
+
+const providers = require('./providers');
+const { transcriptionOptions } = require('./language');
+
+// Silence between two words longer than this counts as a stall
+const LONG_GAP_SECONDS = 1.0;
+const CONTEXT_WORDS = 5;
+const MAX_STALLS = 10;
+
+// ============ TRANSCRIPTION ============
+
+// language is the session's interview language - it picks Whisper's language hint and a
+// disfluency prompt in that language (Whisper drops "umm"s and restarts unless the prompt shows them)
+async function transcribe(file, language) {
+    const options = transcriptionOptions(language);
+    const data = await providers.stt().transcribe({
+        buffer: file.buffer,
+        mimetype: file.mimetype,
+        prompt: options.prompt,
+        language: options.language
+    });
+
+    return {
+        text: data.text,
+        metrics: analyzeHesitation(data)
+    };
+}
+
+// ============ HESITATION ANALYSIS ============
+
+// Letters in any script - Devanagari vowel signs are combining marks, so keep those too
+function normalizeWord(word) {
+    return String(word || '').toLowerCase().replace(/[^\p{L}\p{M}\p{N}'-]/gu, '');
+}
+
+function context(words, from, to) {
+    return words.slice(Math.max(0, from), Math.max(0, to)).map(w => w.word.trim()).join(' ');
+}
+
+function round2(n) {
+    return Math.round(n * 100) / 100;
+}
+
+// Length of a phrase (1-3 words) repeated straight after itself starting at i, or 0
+function repeatedPhraseLength(tokens, i) {
+    for (let size = 3; size >= 1; size--) {
+        if (i + size * 2 > tokens.length) continue;
+        const first = tokens.slice(i, i + size).join(' ');
+        const second = tokens.slice(i + size, i + size * 2).join(' ');
+        if (first && first === second) return size;
+    }
+    return 0;
+}
+
+// "gov- governance" - a word cut off mid-way, which Whisper marks with a trailing hyphen (the
+// disfluency prompt shows it how). A bare prefix is not enough: "in India", "the theory" are fluent.
+function isFalseStart(token, next) {
+    return Boolean(next) && token.length >= 2 && token.endsWith('-');
+}
+
+// Works on Whisper's verbose_json: { text, duration, words: [{ word, start, end }], segments }
+function analyzeHesitation(transcription) {
+    const words = (transcription.words || []).filter(w => typeof w.start === 'number' && typeof w.end === 'number');
+    const tokens = words.map(w => normalizeWord(w.word));
+    const stalls = [];
+
+    let longGaps = 0;
+    let longestGapMs = 0;
+    let restarts = 0;
+    let falseStarts = 0;
+
+    for (let i = 1; i < words.length; i++) {
+        const gap = words[i].start - words[i - 1].end;
+        if (gap >= LONG_GAP_SECONDS) {
+            longGaps++;
+            longestGapMs = Math.max(longestGapMs, Math.round(gap * 1000));
+            stalls.push({
+                type: 'gap',
+                at: round2(words[i - 1].end),
+                durationMs: Math.round(gap * 1000),
+                before: context(words, i - CONTEXT_WORDS, i),
+                after: context(words, i, i + CONTEXT_WORDS)
+            });
+        }
+    }
+
+    for (let i = 0; i < tokens.length; i++) {
+        const size = repeatedPhraseLength(tokens, i);
+        if (size > 0) {
+            restarts++;
+            stalls.push({
+                type: 'restart',
+                at: round2(words[i].start),
+                phrase: context(words, i, i + size),
+                before: context(words, i - CONTEXT_WORDS, i),
+                after: context(words, i + size * 2, i + size * 2 + CONTEXT_WORDS)
+            });
+            i += size * 2 - 1;
+        } else if (isFalseStart(tokens[i], tokens[i + 1])) {
+            falseStarts++;
+            stalls.push({
+                type: 'false-start',
+                at: round2(words[i].start),
+                phrase: context(words, i, i + 2),
+                before: context(words, i - CONTEXT_WORDS, i),
+                after: context(words, i + 2, i + 2 + CONTEXT_WORDS)
+            });
+            i++;
+        }
+    }
+
+    const spokenSeconds = words.length > 0 ? words[words.length - 1].end - words[0].start : 0;
+
+    return {
+        wordCount: words.length,
+        durationSeconds: round2(transcription.duration || 0),
+        leadingSilenceMs: words.length > 0 ? Math.round(words[0].start * 1000) : null,
+        speakingRateWpm: spokenSeconds > 0 ? Math.round(words.length / (spokenSeconds / 60)) : null,
+        longGaps,
+        longestGapMs,
+        restarts,
+        falseStarts,
+        falseStartRate: words.length > 0 ? round2((falseStarts / words.length) * 100) : 0, // per 100 words
+        stalls: stalls.sort((a, b) => a.at - b.at).slice(0, MAX_STALLS)
+    };
+}
+
+// One answer spoken over two recordings: counts add up, the longest gap is the longer of the two
+// and the second recording's stalls follow the first's (their times stay relative to each recording)
+function mergeHesitation(earlier, later) {
+    if (!earlier) return later || null;
+    if (!later) return earlier;
+
+    const wordCount = earlier.wordCount + later.wordCount;
+    const falseStarts = earlier.falseStarts + later.falseStarts;
+    const spokenMinutes = [earlier, later].reduce((sum, h) => sum + (h.speakingRateWpm ? h.wordCount / h.speakingRateWpm : 0), 0);
+
+    return {
+        wordCount,
+        durationSeconds: round2(earlier.durationSeconds + later.durationSeconds),
+        leadingSilenceMs: earlier.leadingSilenceMs,
+        speakingRateWpm: spokenMinutes > 0 ? Math.round(wordCount / spokenMinutes) : null,
+        longGaps: earlier.longGaps + later.longGaps,
+        longestGapMs: Math.max(earlier.longestGapMs, later.longestGapMs),
+        restarts: earlier.restarts + later.restarts,
+        falseStarts,
+        falseStartRate: wordCount > 0 ? round2((falseStarts / wordCount) * 100) : 0,
+        stalls: [...earlier.stalls, ...later.stalls]
+    };
+}
+
+module.exports = {
+    transcribe,
+    analyzeHesitation,
+    mergeHesitation
+};
@@ -0,0 +1,282 @@
+// Usage accounting - what each interview spends on the paid APIs, the quotas that cap it, and its estimated cost.
+//
+// usage: { llm: { <model>: { calls, promptTokens, completionTokens } }, sttSeconds, ttsCharacters }
+//
+// Calls made inside an interview add to session.pendingUsage (providers report tokens through the
+// onUsage option). Routes move it into the ledger (lib/usageStore.js) before saving the session, so
+// the ledger only ever receives additions - nothing read from a stale session can overwrite it.
+// Calls outside an interview (the voice picker's sample, DAF import) go on the day's "other" entry.
+// Each entry also keeps its spend per day it was spent, so an interview running past midnight
+// counts its later audio toward the new day's quota.
+
+// Estimated USD list prices - update them when the vendors change theirs
+const PRICES = {
+    // Per million tokens; first matching model prefix wins, unknown models are priced as gpt-4o
+    llm: [
+        { prefix: 'mock', prompt: 0, completion: 0 },
+        { prefix: 'ft:gpt-4o-mini', prompt: 0.30, completion: 1.20 },
+        { prefix: 'gpt-4o-mini', prompt: 0.15, completion: 0.60 },
+        { prefix: 'gpt-4o', prompt: 2.50, completion: 10.00 }
+    ],
+    sttPerMinute: 0.006,
+    ttsPerThousandCharacters: 0.30
+};
+
+// Roughly how much text ElevenLabs speaks in a minute - TTS counts toward the audio-minute quota
+const TTS_CHARACTERS_PER_MINUTE = 900;
+
+// One /api/tts request; interviewer turns are a sentence or two
+const MAX_TTS_CHARACTERS = 600;
+
+// Quota days and months follow Indian time
+const TIME_ZONE = 'Asia/Kolkata';
+
+// ============ TALLY ============
+
+function emptyUsage() {
+    return { llm: {}, sttSeconds: 0, ttsCharacters: 0 };
+}
+
+// The session's not-yet-recorded spend; sessions from before metering start with none
+function sessionUsage(session) {
+    if (!session.pendingUsage) session.pendingUsage = emptyUsage();
+    return session.pendingUsage;
+}
+
+// onUsage callback for provider calls: ({ model, promptTokens, completionTokens }) added to `usage`
+function meter(usage) {
+    return ({ model, promptTokens = 0, completionTokens = 0 }) => {
+        const entry = usage.llm[model] || (usage.llm[model] = { calls: 0, promptTokens: 0, completionTokens: 0 });
+        entry.calls++;
+        entry.promptTokens += promptTokens;
+        entry.completionTokens += completionTokens;
+    };
+}
+
+function addTranscription(usage, seconds) {
+    usage.sttSeconds += Number(seconds) || 0;
+}
+
+function addSpeech(usage, characters) {
+    usage.ttsCharacters += Number(characters) || 0;
+}
+
+function mergeUsage(total, usage) {
+    Object.entries(usage.llm || {}).forEach(([model, entry]) => {
+        const into = total.llm[model] || (total.llm[model] = { calls: 0, promptTokens: 0, completionTokens: 0 });
+        into.calls += entry.calls;
+        into.promptTokens += entry.promptTokens;
+        into.completionTokens += entry.completionTokens;
+    });
+    total.sttSeconds += usage.sttSeconds || 0;
+    total.ttsCharacters += usage.ttsCharacters || 0;
+    return total;
+}
+
+function isEmpty(usage) {
+    return Object.keys(usage.llm).length === 0 && !usage.sttSeconds && !usage.ttsCharacters;
+}
+
+// Speech both ways: seconds transcribed plus the synthesized text at speaking pace
+function audioMinutes(usage) {
+    return round((usage.sttSeconds || 0) / 60 + (usage.ttsCharacters || 0) / TTS_CHARACTERS_PER_MINUTE, 2);
+}
+
+// ============ COST ============
+
+function round(n, places = 4) {
+    const factor = 10 ** places;
+    return Math.round(n * factor) / factor;
+}
+
+function llmPrice(model) {
+    return PRICES.llm.find(p => model.startsWith(p.prefix)) || PRICES.llm[PRICES.llm.length - 1];
+}
+
+// Estimated USD: { llm, stt, tts, total }
+function estimateCost(usage) {
+    const llm = Object.entries(usage.llm || {}).reduce((sum, [model, entry]) => {
+        const price = llmPrice(model);
+        return sum + (entry.promptTokens * price.prompt + entry.completionTokens * price.completion) / 1e6;
+    }, 0);
+    const stt = ((usage.sttSeconds || 0) / 60) * PRICES.sttPerMinute;
+    const tts = ((usage.ttsCharacters || 0) / 1000) * PRICES.ttsPerThousandCharacters;
+    return { llm: round(llm), stt: round(stt), tts: round(tts), total: round(llm + stt + tts) };
+}
+
+// ============ QUOTAS ============
+
+function envLimit(name, fallback) {
+    const n = Number(process.env[name]);
+    return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+// Interviews started and audio minutes per account, per day and per month
+function quotaLimits() {
+    return {
+        day: {
+            interviews: envLimit('QUOTA_INTERVIEWS_PER_DAY', 5),
+            audioMinutes: envLimit('QUOTA_AUDIO_MINUTES_PER_DAY', 120)
+        },
+        month: {
+            interviews: envLimit('QUOTA_INTERVIEWS_PER_MONTH', 60),
+            audioMinutes: envLimit('QUOTA_AUDIO_MINUTES_PER_MONTH', 1200)
+        }
+    };
+}
+
+// { day: 'YYYY-MM-DD', month: 'YYYY-MM' } in Indian time
+function periodOf(date = new Date()) {
+    const day = new Intl.DateTimeFormat('en-CA', { timeZone: TIME_ZONE }).format(new Date(date));
+    return { day, month: day.slice(0, 7) };
+}
+
+// 'YYYY-MM' of the month before
+function previousMonth(month) {
+    const [year, m] = month.split('-').map(Number);
+    return m === 1 ? `${year - 1}-12` : `${year}-${String(m - 1).padStart(2, '0')}`;
+}
+
+// ============ TRACKER ============
+
+// Ledger writes, quota checks and the per-interview cost summary over a usage store
+function createUsageTracker(ledger) {
+    // The merge runs inside the store's update, so parallel calls (TTS clips of one turn) all count.
+    // The spend goes on the entry's total and on today's bucket in `days`.
+    function add(accountId, { id, kind, startedAt }, usage) {
+        const { day } = periodOf();
+        return ledger.update(accountId, periodOf(startedAt).month, id, stored => {
+            const entry = stored || { id, kind, startedAt, usage: emptyUsage(), days: {} };
+            mergeUsage(entry.usage, usage);
+            if (!isEmpty(usage)) entry.days[day] = mergeUsage(entry.days[day] || emptyUsage(), usage);
+            return entry;
+        });
+    }
+
+    // Interview entries are keyed by session ID and filed under the month the interview started
+    function interviewEntry(sessionId, session) {
+        return { id: sessionId, kind: 'interview', startedAt: session.startedAt };
+    }
+
+    // Interviews count on the day they started, audio on the day it was spent - which can be in
+    // an interview filed under last month, when it ran past midnight at the month's end
+    async function used(accountId, now = new Date()) {
+        const period = periodOf(now);
+        const totals = { day: { interviews: 0, audioMinutes: 0 }, month: { interviews: 0, audioMinutes: 0 } };
+        const [earlier, current] = await Promise.all([
+            ledger.list(accountId, previousMonth(period.month)),
+            ledger.list(accountId, period.month)
+        ]);
+
+        current.filter(entry => entry.kind === 'interview').forEach(entry => {
+            totals.month.interviews++;
+            if (periodOf(entry.startedAt).day === period.day) totals.day.interviews++;
+        });
+        [...earlier, ...current].forEach(entry => {
+            Object.entries(entry.days).forEach(([day, usage]) => {
+                const periods = day === period.day ? ['day', 'month'] : day.startsWith(period.month) ? ['month'] : [];
+                periods.forEach(p => {
+                    totals[p].audioMinutes = round(totals[p].audioMinutes + audioMinutes(usage), 2);
+                });
+            });
+        });
+        return totals;
+    }
+
+    return {
+        // Counts toward the interview quota from the moment the session exists
+        async startInterview(accountId, sessionId, session) {
+            await add(accountId, interviewEntry(sessionId, session), emptyUsage());
+        },
+
+        // Move the session's pending spend into the ledger - call before saving the session
+        async flushSession(accountId, sessionId, session) {
+            const usage = sessionUsage(session);
+            if (isEmpty(usage)) return;
+            session.pendingUsage = emptyUsage();
+            await add(accountId, interviewEntry(sessionId, session), usage);
+        },
+
+        // Spend the route measured itself, without touching the stored session
+        async recordInterview(accountId, sessionId, session, usage) {
+            await add(accountId, interviewEntry(sessionId, session), usage);
+        },
+
+        async recordOther(accountId, usage) {
+            if (isEmpty(usage)) return;
+            const { day } = periodOf();
+            await add(accountId, { id: `other-${day}`, kind: 'other', startedAt: new Date().toISOString() }, usage);
+        },
+
+        // null when within quota, otherwise { error, quota: { period, used, limit } } for a 429.
+        // kind is 'interviews' or 'audioMinutes'.
+        async checkQuota(accountId, kind) {
+            const limits = quotaLimits();
+            const totals = await used(accountId);
+            for (const period of ['day', 'month']) {
+                if (totals[period][kind] >= limits[period][kind]) {
+                    const what = kind === 'interviews' ? 'interview' : 'audio minute';
+                    return {
+                        error: `${period === 'day' ? 'Daily' : 'Monthly'} ${what} quota reached`,
+                        quota: { period, used: totals[period][kind], limit: limits[period][kind] }
+                    };
+                }
+            }
+            return null;
+        },
+
+        // Quotas and estimated cost per interview for one month (YYYY-MM, default this month)
+        async describe(accountId, month = periodOf().month) {
+            const entries = await ledger.list(accountId, month);
+            const total = entries.reduce((sum, entry) => mergeUsage(sum, entry.usage), emptyUsage());
+
+            return {
+                month,
+                limits: quotaLimits(),
+                used: month === periodOf().month ? await used(accountId) : null,
+                interviews: entries.filter(e => e.kind === 'interview').map(entry => ({
+                    sessionId: entry.id,
+                    startedAt: entry.startedAt,
+                    usage: entry.usage,
+                    audioMinutes: audioMinutes(entry.usage),
+                    cost: estimateCost(entry.usage)
+                })),
+                other: entries.filter(e => e.kind === 'other').map(entry => ({
+                    day: periodOf(entry.startedAt).day,
+                    usage: entry.usage,
+                    cost: estimateCost(entry.usage)
+                })),
+                cost: estimateCost(total)
+            };
+        }
+    };
+}
+
+// ============ REQUESTS ============
+
+// Check a quota before spending; when it has run out, answer 429 and return false
+async function withinQuota(tracker, accountId, kind, res) {
+    const exceeded = await tracker.checkQuota(accountId, kind);
+    if (!exceeded) return true;
+    res.status(429).json(exceeded);
+    return false;
+}
+
+// ?month= for the usage endpoint: YYYY-MM, or undefined for this month; null when malformed
+function parseMonth(value) {
+    if (value === undefined || value === '') return undefined;
+    return /^\d{4}-(0[1-9]|1[0-2])$/.test(String(value)) ? String(value) : null;
+}
+
+module.exports = {
+    MAX_TTS_CHARACTERS,
+    emptyUsage,
+    sessionUsage,
+    meter,
+    addTranscription,
+    addSpeech,
+    estimateCost,
+    createUsageTracker,
+    withinQuota,
+    parseMonth
+};
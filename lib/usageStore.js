@@ -0,0 +1,205 @@
+// Usage ledger - what each account spent on the paid APIs, one entry per interview (plus one per day
+// for calls outside an interview), grouped by month. Same backend choice as the other stores:
+// memory, file or redis (USAGE_STORE). Entries never expire.
+//
+//   update(accountId, month, entryId, change) - change(entry or null) returns the entry to store;
+//     updates to one entry never interleave, so parallel calls in an interview all count
+//   get(accountId, month, entryId) -> entry or null, list(accountId, month) -> entries, oldest first
+// entry: { id, kind: 'interview' | 'other', startedAt, usage, days: { <YYYY-MM-DD>: usage } } -
+// the total and the same spend by the day it happened; usage shape in lib/usage.js
+
+const fs = require('fs');
+const path = require('path');
+const { WatchError } = require('redis');
+const { getRedisClient } = require('./redisClient');
+
+const DEFAULT_USAGE_DIR = path.join(__dirname, '..', '.usage');
+
+// Redis updates retried when another instance changed the entry in between
+const UPDATE_ATTEMPTS = 5;
+
+// Account IDs, months (YYYY-MM) and entry IDs become file names and Redis keys
+function isValidId(id) {
+    return /^[\w-]+$/.test(String(id));
+}
+
+function byOldest(a, b) {
+    return String(a.startedAt).localeCompare(String(b.startedAt));
+}
+
+// Runs tasks for the same key one after another - the memory and file stores' read-change-write
+// would otherwise lose one of two updates made at the same time
+function createKeyQueue() {
+    const tails = new Map();
+
+    return function enqueue(key, task) {
+        const result = (tails.get(key) || Promise.resolve()).then(task);
+        const settled = result.catch(() => {});
+        tails.set(key, settled);
+        settled.then(() => {
+            if (tails.get(key) === settled) tails.delete(key);
+        });
+        return result;
+    };
+}
+
+// ============ MEMORY ============
+
+function createMemoryUsage() {
+    const entries = new Map();
+    const enqueue = createKeyQueue();
+
+    return {
+        backend: 'memory',
+
+        update(accountId, month, entryId, change) {
+            const key = `${accountId}/${month}/${entryId}`;
+            return enqueue(key, async () => {
+                const json = entries.get(key);
+                entries.set(key, JSON.stringify(change(json ? JSON.parse(json) : null)));
+            });
+        },
+
+        async get(accountId, month, entryId) {
+            const json = entries.get(`${accountId}/${month}/${entryId}`);
+            return json ? JSON.parse(json) : null;
+        },
+
+        async list(accountId, month) {
+            return [...entries.entries()]
+                .filter(([key]) => key.startsWith(`${accountId}/${month}/`))
+                .map(([, json]) => JSON.parse(json))
+                .sort(byOldest);
+        }
+    };
+}
+
+// ============ JSON FILE ============
+
+// <account>/<month>/<entry>.json
+function createFileUsage({ dir = DEFAULT_USAGE_DIR } = {}) {
+    const enqueue = createKeyQueue();
+
+    function monthDir(accountId, month) {
+        if (!isValidId(accountId) || !isValidId(month)) {
+            throw new Error('Invalid account ID or month');
+        }
+        return path.join(dir, accountId, month);
+    }
+
+    return {
+        backend: 'file',
+
+        // Queued per file within this process
+        async update(accountId, month, entryId, change) {
+            if (!isValidId(entryId)) {
+                throw new Error('Invalid usage entry ID');
+            }
+            const file = path.join(monthDir(accountId, month), `${entryId}.json`);
+            return enqueue(file, async () => {
+                const entry = change(await this.get(accountId, month, entryId));
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.writeFile(`${file}.tmp`, JSON.stringify(entry, null, 2));
+                await fs.promises.rename(`${file}.tmp`, file);
+            });
+        },
+
+        async get(accountId, month, entryId) {
+            if (!isValidId(entryId)) return null;
+            try {
+                return JSON.parse(await fs.promises.readFile(path.join(monthDir(accountId, month), `${entryId}.json`), 'utf8'));
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async list(accountId, month) {
+            const folder = monthDir(accountId, month);
+            let files;
+            try {
+                files = await fs.promises.readdir(folder);
+            } catch (error) {
+                if (error.code === 'ENOENT') return [];
+                throw error;
+            }
+
+            const entries = await Promise.all(files
+                .filter(f => f.endsWith('.json'))
+                .map(async f => JSON.parse(await fs.promises.readFile(path.join(folder, f), 'utf8'))));
+            return entries.sort(byOldest);
+        }
+    };
+}
+
+// ============ REDIS ============
+
+// usage:<account>:<month> is a hash of entry ID -> entry
+function createRedisUsage({ url } = {}) {
+    const getClient = () => getRedisClient(url);
+
+    return {
+        backend: 'redis',
+
+        // WATCH/MULTI on an isolated connection: the write fails if the hash changed since the
+        // read, and the change is re-applied to the newer entry
+        async update(accountId, month, entryId, change) {
+            const client = await getClient();
+            const key = `usage:${accountId}:${month}`;
+
+            for (let attempt = 0; attempt < UPDATE_ATTEMPTS; attempt++) {
+                try {
+                    await client.executeIsolated(async isolated => {
+                        await isolated.watch(key);
+                        const data = await isolated.hGet(key, entryId);
+                        const entry = change(data ? JSON.parse(data) : null);
+                        await isolated.multi().hSet(key, entryId, JSON.stringify(entry)).exec();
+                    });
+                    return;
+                } catch (error) {
+                    if (!(error instanceof WatchError)) throw error;
+                }
+            }
+            throw new Error('Usage ledger is busy - update not recorded');
+        },
+
+        async get(accountId, month, entryId) {
+            const client = await getClient();
+            const data = await client.hGet(`usage:${accountId}:${month}`, entryId);
+            return data ? JSON.parse(data) : null;
+        },
+
+        async list(accountId, month) {
+            const client = await getClient();
+            const values = await client.hVals(`usage:${accountId}:${month}`);
+            return values.map(v => JSON.parse(v)).sort(byOldest);
+        }
+    };
+}
+
+// ============ FACTORY ============
+
+const backends = {
+    memory: createMemoryUsage,
+    file: createFileUsage,
+    redis: createRedisUsage
+};
+
+// `backend` is the entry point's default; USAGE_STORE overrides it
+function createUsageStore({ backend, ...options } = {}) {
+    const name = process.env.USAGE_STORE || backend || 'file';
+    const create = backends[name];
+    if (!create) {
+        throw new Error(`Unknown usage store: ${name} (use memory, file or redis)`);
+    }
+
+    return create({
+        dir: process.env.USAGE_DIR || DEFAULT_USAGE_DIR,
+        url: process.env.UPSC_REDIS_URL,
+        ...options
+    });
+}
+
+module.exports = {
+    createUsageStore
+};
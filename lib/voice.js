@@ -0,0 +1,129 @@
+// Interviewer voice - voice choice, delivery settings and synthesis through the TTS provider
+// A session stores its voice so every TTS call in that interview sounds the same
+
+const { isVoiceId } = require('./board');
+const providers = require('./providers');
+const { speechLanguage } = require('./language');
+const { settingsFor } = require('./temperament');
+
+// USER SELECTED VOICE - Indian accent male voice from Voice Library
+// Voice Link: https://elevenlabs.io/app/voice-library?voiceId=oH8YmZXJYEZq5ScgoGn9
+const DEFAULT_VOICE_ID = '43EwOfIMJShg3J9RLxZJ';
+
+// Default voice for Hindi interviews - HINDI_VOICE_ID picks a native Hindi voice from the
+// Voice Library; without it the default voice speaks Hindi through the multilingual model
+function defaultVoiceId(language) {
+    if (language === 'hi' && isVoiceId(process.env.HINDI_VOICE_ID)) return process.env.HINDI_VOICE_ID;
+    return DEFAULT_VOICE_ID;
+}
+
+// Alternative voices (backup):
+// 'pNInz6obpgDQGcFmaJgB' - Adam, professional male voice
+// 'ErXwobaYiN019PkySvjV' - Antoni, deep authoritative voice
+
+const DEFAULT_SETTINGS = {
+    stability: 0.6, // Slightly lower for more natural variation
+    style: 0.7, // Higher style for more emotion and modulation
+    speed: 1.0
+};
+
+// ElevenLabs' ranges: 0-1 for stability and style, 0.7-1.2 for speed
+const SETTING_LIMITS = {
+    stability: { min: 0, max: 1 },
+    style: { min: 0, max: 1 },
+    speed: { min: 0.7, max: 1.2 }
+};
+
+// The board's temperament shifts the delivery - a rapid-fire board speaks faster, a friendly one warmer
+function defaultVoice(language, temperament) {
+    return { voiceId: defaultVoiceId(language), ...DEFAULT_SETTINGS, ...settingsFor(temperament).voice };
+}
+
+// Validate a submitted voice choice. Returns { voice, errors } - voice is null when invalid.
+// Missing fields keep their defaults (the interview language's default voice for voiceId,
+// the temperament's delivery for the settings).
+function validateVoice(input, language, temperament) {
+    if (input === undefined || input === null) {
+        return { voice: defaultVoice(language, temperament), errors: [] };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { voice: null, errors: ['voice must be a JSON object'] };
+    }
+
+    const errors = [];
+    const voice = defaultVoice(language, temperament);
+
+    if (input.voiceId !== undefined) {
+        if (isVoiceId(input.voiceId)) {
+            voice.voiceId = input.voiceId;
+        } else {
+            errors.push('voiceId must be an ElevenLabs voice ID');
+        }
+    }
+
+    Object.entries(SETTING_LIMITS).forEach(([field, { min, max }]) => {
+        if (input[field] === undefined || input[field] === null || input[field] === '') return;
+
+        const value = Number(input[field]);
+        if (!Number.isFinite(value) || value < min || value > max) {
+            errors.push(`${field} must be a number between ${min} and ${max}`);
+        } else {
+            voice[field] = Math.round(value * 100) / 100;
+        }
+    });
+
+    return errors.length > 0 ? { voice: null, errors } : { voice, errors };
+}
+
+// ============ VOICE LIBRARY ============
+
+// Voices from the TTS provider with an Indian or Hindi accent
+// defaultSettings are the delivery the temperament's board speaks with, for the picker to start from
+async function listIndianVoices(temperament) {
+    const voices = await providers.tts().listVoices();
+
+    // Filter for Indian/Hindi accent voices
+    const indianVoices = voices.filter(voice => {
+        const name = voice.name.toLowerCase();
+        const labels = voice.labels || {};
+        const accent = (labels.accent || '').toLowerCase();
+        const description = (voice.description || '').toLowerCase();
+
+        return (
+            accent.includes('indian') ||
+            accent.includes('hindi') ||
+            name.includes('indian') ||
+            name.includes('hindi') ||
+            description.includes('indian') ||
+            description.includes('hindi')
+        );
+    });
+
+    return {
+        total: indianVoices.length,
+        defaultVoiceId: DEFAULT_VOICE_ID,
+        defaultSettings: { ...DEFAULT_SETTINGS, ...settingsFor(temperament).voice },
+        voices: indianVoices
+    };
+}
+
+// ============ SYNTHESIS ============
+
+// Resolves to a readable MP3 stream the route can pipe to the client.
+// voiceId overrides the voice's own ID (board members speak in their seat's voice);
+// language is the interview language, so the TTS model pronounces Hindi as Hindi.
+async function synthesize(text, voice = defaultVoice(), voiceId = null, language = 'en') {
+    return providers.tts().synthesize(text, {
+        ...voice,
+        voiceId: isVoiceId(voiceId) ? voiceId : voice.voiceId,
+        language: speechLanguage(language)
+    });
+}
+
+module.exports = {
+    DEFAULT_VOICE_ID,
+    defaultVoice,
+    validateVoice,
+    listIndianVoices,
+    synthesize
+};
@@ -0,0 +1,52 @@
+// DAF import - the bundled sample form parsed offline, field by field
+
+process.env.PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { importDaf } = require('../lib/daf');
+
+function sampleDaf() {
+    const file = path.join(__dirname, '..', 'data', 'sample-daf.txt');
+    return { buffer: fs.readFileSync(file), mimetype: 'text/plain', originalname: 'sample-daf.txt' };
+}
+
+test('the sample DAF parses into a complete draft profile', async () => {
+    const { draft, missing, parser } = await importDaf(sampleDaf(), { parser: 'rules' });
+
+    assert.strictEqual(parser, 'rules');
+    assert.deepStrictEqual(missing, []);
+    assert.strictEqual(draft.name, 'Ravi Kumar');
+    assert.strictEqual(draft.rollNumber, '1203344');
+    assert.strictEqual(draft.age, 26);
+    assert.strictEqual(draft.hometown, 'Ward 12, Hajipur, Vaishali');
+    assert.strictEqual(draft.homeState, 'Bihar');
+    assert.deepStrictEqual(draft.education, [
+        'B.Tech Civil Engineering, National Institute of Technology Patna (7.9 CGPA)',
+        'Class XII, Kendriya Vidyalaya Hajipur (91%)'
+    ]);
+    assert.strictEqual(draft.optionalSubject, 'Sociology');
+    assert.deepStrictEqual(draft.servicePreferences, ['IAS', 'IPS', 'IFS']);
+    assert.deepStrictEqual(draft.cadrePreferences, ['Bihar', 'Jharkhand', 'Odisha']);
+    assert.deepStrictEqual(draft.workExperience, ['Site Engineer, Larsen & Toubro (2019-2021)']);
+    assert.deepStrictEqual(draft.hobbies, ['Bhojpuri folk music', 'long-distance running', 'chess']);
+    assert.deepStrictEqual(draft.achievements, [
+        'Captain, college athletics team',
+        'Volunteer, flood relief camps in North Bihar (2019)',
+        'Runner-up, inter-NIT quiz'
+    ]);
+    assert.strictEqual(draft.background, 'First-generation graduate; father is a farmer');
+});
+
+test('the LLM parser goes through the provider and reports what it could not fill', async () => {
+    const calls = [];
+    const { draft, missing, parser } = await importDaf(sampleDaf(), { parser: 'llm', onUsage: usage => calls.push(usage) });
+
+    assert.strictEqual(parser, 'llm');
+    assert.deepStrictEqual(draft, {});
+    assert.ok(missing.length > 0);
+    assert.strictEqual(calls.length, 1);
+    assert.strictEqual(calls[0].model, 'mock');
+});
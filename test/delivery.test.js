@@ -0,0 +1,66 @@
+// Delivery figures - hesitation comes from the server's own transcription, never the client
+
+const test = require('node:test');
+const assert = require('node:assert');
+const engine = require('../lib/engine');
+const profiles = require('../lib/profile');
+const { analyzeHesitation } = require('../lib/transcription');
+
+test('tracked responses keep the hesitation /api/stt measured and ignore the client\'s', () => {
+    const session = engine.createSession(profiles.loadDefaultProfile());
+    session.transcript.push({ role: 'assistant', content: 'Why the civil services?' });
+    session.conversationState.questionLog.push({ topic: 'Introduction', question: 'Why the civil services?', speaker: null });
+
+    const measured = analyzeHesitation({
+        duration: 4,
+        words: [
+            { word: 'I', start: 0.5, end: 0.7 },
+            { word: 'want', start: 3.5, end: 3.8 },
+            { word: 'to', start: 3.8, end: 3.9 },
+            { word: 'serve', start: 3.9, end: 4 }
+        ]
+    });
+    engine.recordTranscription(session, 'I want to serve', measured);
+    engine.recordResponse(session, { durationMs: 4000, hesitation: { longGaps: 0, restarts: 0, stalls: [] } }, false);
+
+    const [response] = session.metrics.responses;
+    assert.strictEqual(response.hesitation.longGaps, 1);
+    assert.strictEqual(response.hesitation, measured);
+    assert.strictEqual(session.pendingHesitation, null);
+});
+
+test('an answer spoken over two recordings keeps the hesitation of both', () => {
+    const session = engine.createSession(profiles.loadDefaultProfile());
+    session.transcript.push({ role: 'assistant', content: 'Why the civil services?' });
+    session.conversationState.questionLog.push({ topic: 'Introduction', question: 'Why the civil services?', speaker: null });
+
+    const first = analyzeHesitation({
+        duration: 3,
+        words: [
+            { word: 'I', start: 0.2, end: 0.4 },
+            { word: 'gov-', start: 0.5, end: 0.8 },
+            { word: 'governance', start: 2.2, end: 2.8 }
+        ]
+    });
+    const second = analyzeHesitation({
+        duration: 5,
+        words: [
+            { word: 'matters', start: 0.4, end: 0.8 },
+            { word: 'matters', start: 0.9, end: 1.3 },
+            { word: 'to', start: 3.3, end: 3.5 },
+            { word: 'me', start: 3.5, end: 3.7 }
+        ]
+    });
+    engine.recordTranscription(session, 'I gov- governance', first);
+    engine.recordTranscription(session, 'matters matters to me', second);
+    engine.recordResponse(session, { durationMs: 8000 }, false);
+
+    const [response] = session.metrics.responses;
+    assert.strictEqual(session.transcript[session.transcript.length - 1].content, 'I gov- governance matters matters to me');
+    assert.strictEqual(response.hesitation.wordCount, 7);
+    assert.strictEqual(response.hesitation.longGaps, 2);
+    assert.strictEqual(response.hesitation.longestGapMs, 2000);
+    assert.strictEqual(response.hesitation.falseStarts, 1);
+    assert.strictEqual(response.hesitation.restarts, 1);
+    assert.deepStrictEqual(response.hesitation.stalls.map(s => s.type), ['false-start', 'gap', 'restart', 'gap']);
+});
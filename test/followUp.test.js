@@ -0,0 +1,36 @@
+// Follow-up decisions - when a tougher board cross-examines a sound answer
+
+process.env.PROVIDER = 'mock';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { decideNext, isFollowUp } = require('../lib/followUp');
+
+// Decides the next question after each label in turn, keeping the follow-up count as prepareTurn does
+function decideAll(labels, temperament) {
+    const state = { currentTopic: 'Economy', questionsOnCurrentTopic: 1, followUpsInARow: 0, difficulty: 'standard', followUps: [] };
+
+    return labels.map((label, questionIndex) => {
+        state.assessment = { questionIndex, topic: 'Economy', label, reason: null, claim: null };
+        const decision = decideNext(state, 10, temperament);
+        state.followUpsInARow = isFollowUp(decision.action) ? state.followUpsInARow + 1 : 0;
+        return decision;
+    });
+}
+
+test('an adversarial board cross-examines every second sound answer', () => {
+    const decisions = decideAll(['strong', 'strong', 'strong', 'strong'], 'adversarial');
+    assert.deepStrictEqual(decisions.map(d => d.crossExamined), [false, true, false, true]);
+    assert.deepStrictEqual(decisions.map(d => d.action), ['raise', 'challenge', 'raise', 'challenge']);
+});
+
+test('follow-ups since the last cross-examination do not bring the next one forward', () => {
+    const decisions = decideAll(['strong', 'strong', 'vague', 'strong', 'strong'], 'adversarial');
+    assert.deepStrictEqual(decisions.map(d => d.action), ['raise', 'challenge', 'drill', 'raise', 'challenge']);
+    assert.deepStrictEqual(decisions.map(d => d.crossExamined), [false, true, false, false, true]);
+});
+
+test('a neutral board never cross-examines', () => {
+    const decisions = decideAll(['strong', 'strong', 'strong'], 'neutral');
+    assert.ok(decisions.every(d => !d.crossExamined));
+});
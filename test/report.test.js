@@ -0,0 +1,45 @@
+// Report assembly - per-question data lands on the answer it belongs to
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { pairAnswers, attachToAnswers } = require('../lib/answers');
+
+// Three questions, the middle one never answered
+function transcriptWithSkippedQuestion() {
+    const questions = ['Tell us about yourself.', 'Why the foreign service?', 'What is your view on the Quad?'];
+    const questionLog = [];
+    const transcript = [];
+
+    questions.forEach((question, i) => {
+        questionLog.push({ topic: i === 0 ? 'Introduction' : 'Foreign Policy', question });
+        transcript.push({ role: 'assistant', content: question });
+        if (i !== 1) transcript.push({ role: 'user', content: `Answer to question ${i}` });
+    });
+    return { transcript, questionLog };
+}
+
+test('delivery figures join on the question, not the answer position', () => {
+    const { transcript, questionLog } = transcriptWithSkippedQuestion();
+    const answers = pairAnswers(transcript, questionLog);
+    attachToAnswers(answers, [
+        { questionIndex: 0, wordsPerMinute: 110 },
+        { questionIndex: 2, wordsPerMinute: 150 }
+    ], 'delivery');
+
+    assert.strictEqual(answers.length, 2);
+    assert.deepStrictEqual(answers.map(a => a.questionIndex), [0, 2]);
+    assert.strictEqual(answers[0].delivery.wordsPerMinute, 110);
+    assert.strictEqual(answers[1].delivery.wordsPerMinute, 150);
+    assert.strictEqual(answers[1].answer, 'Answer to question 2');
+});
+
+test('follow-up decisions join on the question, not the answer position', () => {
+    const { transcript, questionLog } = transcriptWithSkippedQuestion();
+    const answers = pairAnswers(transcript, questionLog);
+    attachToAnswers(answers, [
+        { questionIndex: 2, topic: 'Foreign Policy', label: 'vague', reason: null, claim: null, action: 'drill', crossExamined: false, difficulty: 'standard' }
+    ], 'followUp');
+
+    assert.strictEqual(answers[0].followUp, undefined);
+    assert.strictEqual(answers[1].followUp.label, 'vague');
+});
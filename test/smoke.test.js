@@ -0,0 +1,111 @@
+// Smoke test - the real server on the mock provider, through one answered question to the report.
+// Every store is in memory, so nothing is written to the working tree.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const STARTUP_MS = 10000;
+
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+function startServer(port) {
+    const server = spawn(process.execPath, ['server.js'], {
+        cwd: path.join(__dirname, '..'),
+        env: {
+            ...process.env,
+            PORT: String(port),
+            PROVIDER: 'mock',
+            SESSION_STORE: 'memory',
+            HISTORY_STORE: 'memory',
+            ACCOUNT_STORE: 'memory',
+            USAGE_STORE: 'memory',
+            TOPIC_STORE: 'memory'
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => fail(new Error(`Server did not start:\n${output}`)), STARTUP_MS);
+
+        function fail(error) {
+            clearTimeout(timer);
+            server.kill();
+            reject(error);
+        }
+
+        server.stdout.on('data', chunk => {
+            output += chunk;
+            if (output.includes('Server running')) {
+                clearTimeout(timer);
+                resolve(server);
+            }
+        });
+        server.stderr.on('data', chunk => { output += chunk; });
+        server.on('exit', code => fail(new Error(`Server exited with ${code}:\n${output}`)));
+    });
+}
+
+test('an interview runs from start to report on the mock provider', async t => {
+    const port = await freePort();
+    const server = await startServer(port);
+    t.after(() => server.kill());
+
+    const base = `http://localhost:${port}`;
+    let token = null;
+
+    async function call(route, body) {
+        const isForm = body instanceof FormData;
+        const response = await fetch(`${base}${route}`, {
+            method: 'POST',
+            headers: {
+                ...(isForm ? {} : { 'Content-Type': 'application/json' }),
+                ...(token ? { Authorization: `Bearer ${token}` } : {})
+            },
+            body: isForm ? body : JSON.stringify(body)
+        });
+        const data = await response.json();
+        assert.strictEqual(response.status, 200, `${route}: ${JSON.stringify(data)}`);
+        return data;
+    }
+
+    ({ token } = await call('/api/auth/signup', { email: 'smoke@example.com', password: 'smoke-test-password' }));
+
+    const { sessionId } = await call('/api/session/init', {});
+    assert.ok(sessionId);
+
+    const opening = await call('/api/chat', { sessionId });
+    assert.match(opening.choices[0].message.content, /Tell us briefly about yourself/);
+
+    const audio = new FormData();
+    audio.append('sessionId', sessionId);
+    audio.append('audio', new Blob([Buffer.alloc(64)], { type: 'audio/webm' }), 'answer.webm');
+    const { text } = await call('/api/stt', audio);
+    assert.ok(text.length > 0);
+
+    await call('/api/session/track', {
+        sessionId,
+        metrics: { durationMs: 9000, timeToFirstSpeechMs: 800, pauseCount: 1, totalPauseMs: 1400, longestPauseMs: 1400 },
+        interruptionDetected: false
+    });
+
+    const next = await call('/api/chat', { sessionId });
+    assert.ok(next.choices[0].message.content);
+
+    const report = await call('/api/session/report', { sessionId });
+    assert.ok(report.interviewId);
+    assert.ok(report.analysis);
+    assert.strictEqual(report.analysis.scores.content.score, 6);
+});
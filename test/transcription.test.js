@@ -0,0 +1,25 @@
+// Hesitation analysis - stalls read from the STT word timings
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { analyzeHesitation } = require('../lib/transcription');
+
+// Evenly paced words, as Whisper's verbose_json reports them
+function timed(text) {
+    const words = text.split(' ').map((word, i) => ({ word, start: 0.2 + i * 0.4, end: 0.5 + i * 0.4 }));
+    return { text, duration: words[words.length - 1].end + 0.3, words };
+}
+
+test('fluent words that begin with the previous word are not false starts', () => {
+    const metrics = analyzeHesitation(timed('We were in India for the theory of an analysis and we were on one issue'));
+    assert.strictEqual(metrics.falseStarts, 0);
+    assert.strictEqual(metrics.restarts, 0);
+    assert.deepStrictEqual(metrics.stalls, []);
+});
+
+test('a word cut off with a hyphen is a false start', () => {
+    const metrics = analyzeHesitation(timed('It is basically about gov- governance at the block level'));
+    assert.strictEqual(metrics.falseStarts, 1);
+    assert.strictEqual(metrics.stalls[0].type, 'false-start');
+    assert.strictEqual(metrics.stalls[0].phrase, 'gov- governance');
+});
@@ -0,0 +1,44 @@
+// Usage ledger - parallel spend on one interview must all reach the ledger, and audio counts
+// toward the day it was spent
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createUsageStore } = require('../lib/usageStore');
+const { createUsageTracker, emptyUsage, addSpeech } = require('../lib/usage');
+
+const session = { startedAt: '2026-05-15T06:00:00.000Z' };
+
+function clip(characters) {
+    const usage = emptyUsage();
+    addSpeech(usage, characters);
+    return usage;
+}
+
+for (const backend of ['memory', 'file']) {
+    test(`${backend} store keeps every one of several parallel updates`, async t => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+        t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+        const store = createUsageStore({ backend, dir });
+        const tracker = createUsageTracker(store);
+
+        await Promise.all([100, 200, 300, 400].map(n => tracker.recordInterview('acc', 'interview1', session, clip(n))));
+
+        const [entry] = await store.list('acc', '2026-05');
+        assert.strictEqual(entry.usage.ttsCharacters, 1000);
+    });
+}
+
+test('audio spent today on an interview started yesterday counts toward today', async () => {
+    const tracker = createUsageTracker(createUsageStore({ backend: 'memory' }));
+    const yesterday = { startedAt: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() };
+
+    await tracker.startInterview('acc', 'overnight', yesterday);
+    await tracker.recordInterview('acc', 'overnight', yesterday, clip(1800));
+
+    const { used } = await tracker.describe('acc');
+    assert.strictEqual(used.day.interviews, 0);
+    assert.strictEqual(used.day.audioMinutes, 2);
+});